@@ -8,16 +8,44 @@ const API_URL = '';
 
 // Current user session
 let currentUser = null;
+let authToken = null; // Signed session token issued by /api/auth/login
+let pendingTwoFactorToken = null; // Short-lived token between password and 2FA steps
+
+// Staff roles (permissions per role are decided by the server)
+const ROLE_LABELS = {
+    owner: '👑 Owner',
+    treasurer: '💼 Treasurer',
+    collector: '🧾 Collector',
+    auditor: '🔍 Auditor',
+    moderator: '💬 Moderator'
+};
 
 // Cache for data
 let categoriesCache = [];
 let donationsCache = [];
 let settingsCache = { viewMode: 'cards' };
+let statsCache = null; // Approved totals from the server; they include amounts hidden from the public list
 
 // ==================== API HELPERS ====================
 
+// Attach the session token (if logged in) to every API request
+function authHeaders(headers = {}) {
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    }
+    return headers;
+}
+
+// A 401 while logged in means the session was revoked or has expired
+function checkSession(response) {
+    if (response.status === 401 && authToken) sessionExpired();
+}
+
 async function apiGet(endpoint) {
-    const response = await fetch(`${API_URL}${endpoint}`);
+    const response = await fetch(`${API_URL}${endpoint}`, {
+        headers: authHeaders()
+    });
+    checkSession(response);
     if (!response.ok) throw new Error(await response.text());
     return response.json();
 }
@@ -25,12 +53,14 @@ async function apiGet(endpoint) {
 async function apiPost(endpoint, data) {
     const response = await fetch(`${API_URL}${endpoint}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify(data)
     });
+    checkSession(response);
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.message || 'Request failed');
+        // Keep the response body for callers that react to it (e.g. duplicate warnings)
+        throw Object.assign(new Error(error.message || 'Request failed'), { status: response.status, data: error });
     }
     return response.json();
 }
@@ -38,9 +68,10 @@ async function apiPost(endpoint, data) {
 async function apiPut(endpoint, data) {
     const response = await fetch(`${API_URL}${endpoint}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify(data)
     });
+    checkSession(response);
     if (!response.ok) {
         const error = await response.json();
         throw new Error(error.message || 'Request failed');
@@ -48,10 +79,13 @@ async function apiPut(endpoint, data) {
     return response.json();
 }
 
-async function apiDelete(endpoint) {
+async function apiDelete(endpoint, data) {
     const response = await fetch(`${API_URL}${endpoint}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: authHeaders(data ? { 'Content-Type': 'application/json' } : {}),
+        body: data ? JSON.stringify(data) : undefined
     });
+    checkSession(response);
     if (!response.ok) {
         const error = await response.json();
         throw new Error(error.message || 'Request failed');
@@ -63,15 +97,19 @@ async function apiDelete(endpoint) {
 
 async function loadAllData() {
     try {
-        const [categories, donations, settings] = await Promise.all([
+        // Visitors only get the public shape of approved donations
+        const [categories, donations, settings, stats] = await Promise.all([
             apiGet('/api/categories'),
-            apiGet('/api/donations'),
-            apiGet('/api/settings')
+            apiGet(authToken ? '/api/donations' : '/api/public/donations'),
+            apiGet('/api/settings'),
+            apiGet('/api/public/stats')
         ]);
 
         categoriesCache = categories;
         donationsCache = donations;
         settingsCache = settings;
+        statsCache = stats;
+        await loadPledgeSummary();
 
         return { categories, donations, settings };
     } catch (error) {
@@ -99,6 +137,12 @@ function formatDate(dateStr) {
     });
 }
 
+// Escape text before it goes into innerHTML or an attribute value
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 // ==================== UI RENDERING ====================
 
 // Initialize app
@@ -122,20 +166,50 @@ function showLoading(show) {
     }
 }
 
+// ==================== DONATION PRIVACY ====================
+
+const ANONYMOUS_DONOR_NAME = 'गुप्त दान';
+
+const PRIVACY_LABELS = {
+    public: '👁️ Name and amount',
+    name_only: '🙈 Name only',
+    anonymous: '🔒 गुप्त दान (anonymous)'
+};
+
+// Same masking the server applies for visitors, so signed-in users see the public page as visitors do
+function applyDonationPrivacy(d) {
+    const shown = d.notesPublic ? d : { ...d, notes: '' };
+    if (d.privacy === 'name_only') {
+        return {
+            ...shown, donorId: null, amount: null, paymentMode: null, itemName: null, itemUnit: null, quantity: null, estimatedValue: null
+        };
+    }
+    if (d.privacy === 'anonymous') return { ...shown, donorName: ANONYMOUS_DONOR_NAME, donorId: null };
+    return shown;
+}
+
 // Helper to group donations by donor
 function groupDonationsByName(donations) {
     const grouped = {};
 
     donations.forEach(d => {
-        // Normalize name for grouping (case-insensitive)
-        const nameKey = d.donorName.trim().toLowerCase() + '_' + (d.categoryId?._id || d.categoryId || 'unknown');
+        // One entry per donor profile; unlinked donations fall back to name + category
+        // Anonymous gifts share a single line per category
+        const donor = d.donorId && typeof d.donorId === 'object' ? d.donorId : null;
+        const categoryKey = d.categoryId?._id || d.categoryId || 'unknown';
+        const nameKey = d.privacy === 'anonymous'
+            ? 'anonymous_' + categoryKey
+            : donor ? donor._id : d.donorName.trim().toLowerCase() + '_' + categoryKey;
 
         if (!grouped[nameKey]) {
             grouped[nameKey] = {
-                donorName: d.donorName.trim(),
+                donorName: donor ? donorDisplayName(donor) : d.donorName.trim(),
+                donorId: donor?._id || null,
                 amount: 0,
+                amountHidden: false, // Some gifts were given 'name only'
+                items: {}, // In-kind goods: 'Cement|bags' -> { itemName, itemUnit, quantity }
                 history: [],
-                categoryId: d.categoryId,
+                categoryId: donor?.categoryId || d.categoryId,
                 date: d.date, // Will track latest date
                 notes: d.notes,
                 _id: d._id // Use one ID for key if needed
@@ -143,7 +217,14 @@ function groupDonationsByName(donations) {
         }
 
         const amount = d.amount || 0;
+        const hidden = d.privacy === 'name_only';
         grouped[nameKey].amount += amount;
+        if (hidden) grouped[nameKey].amountHidden = true;
+        if (d.paymentMode === 'in_kind' && !hidden) {
+            const itemKey = `${d.itemName}|${d.itemUnit}`;
+            const item = grouped[nameKey].items[itemKey] ||= { itemName: d.itemName, itemUnit: d.itemUnit, quantity: 0 };
+            item.quantity += d.quantity || 0;
+        }
 
         // Track latest date
         if (new Date(d.date) > new Date(grouped[nameKey].date)) {
@@ -152,12 +233,13 @@ function groupDonationsByName(donations) {
 
         grouped[nameKey].history.push({
             amount: amount,
+            label: hidden ? '🙏' : d.paymentMode === 'in_kind' ? inKindDescription(d) : `₹${amount}`,
             date: d.date,
             notes: d.notes
         });
     });
 
-    return Object.values(grouped);
+    return Object.values(grouped).map(donor => ({ ...donor, items: Object.values(donor.items) }));
 }
 
 // Render public donations view
@@ -168,8 +250,8 @@ function renderPublicView(searchTerm = '', categoryFilter = '', statusFilter = '
     // Sort categories by order
     const sortedCategories = [...categoriesCache].sort((a, b) => a.order - b.order);
 
-    // 1. Filter Approved Donations
-    let rawDonations = donationsCache.filter(d => d.status === 'approved');
+    // 1. Filter Approved Donations, shown as each donor chose
+    let rawDonations = donationsCache.filter(d => d.status === 'approved').map(applyDonationPrivacy);
 
     // 2. Group Donations by Name
     let groupedDonors = groupDonationsByName(rawDonations);
@@ -193,11 +275,12 @@ function renderPublicView(searchTerm = '', categoryFilter = '', statusFilter = '
         });
     }
 
-    // 5. Apply Status Filter (Paid vs Pledged)
+    // 5. Apply Status Filter (Paid vs Pledged, which includes anyone with a pledge balance)
     if (statusFilter === 'paid') {
-        groupedDonors = groupedDonors.filter(d => d.amount > 0);
+        groupedDonors = groupedDonors.filter(d => d.amount > 0 || d.items.length > 0 || d.amountHidden);
     } else if (statusFilter === 'pledged') {
-        groupedDonors = groupedDonors.filter(d => d.amount === 0);
+        groupedDonors = groupedDonors.filter(d => (d.amount === 0 && d.items.length === 0 && !d.amountHidden) ||
+            pledgeSummary.get(d.donorId)?.outstanding > 0);
     }
 
     if (groupedDonors.length === 0) {
@@ -262,10 +345,10 @@ function renderDonorCard(donor, index) {
     if (donor.history.length > 1) {
         historyHtml = `<div class="donation-history">`;
         donor.history.forEach(h => {
-            if (h.amount > 0 || h.notes) {
+            if (h.label !== '₹0' || h.notes) {
                 historyHtml += `
                     <div class="history-item">
-                        <span>₹${h.amount}</span>
+                        <span>${h.label}</span>
                         <span class="text-muted text-xs">${formatDate(h.date)}</span>
                     </div>
                 `;
@@ -277,13 +360,26 @@ function renderDonorCard(donor, index) {
     // Check if dates should be shown
     const showDates = settingsCache.showDates !== false;
 
+    const pledge = donor.donorId ? pledgeSummary.get(donor.donorId) : null;
+    const pledgeHtml = pledge?.outstanding > 0 ? `
+        <div class="pledge-balance" style="font-size: 0.85rem; color: var(--text-muted);">
+            🙏 Pledged ${formatCurrency(pledge.promised)} · <strong style="color: var(--warning);">${formatCurrency(pledge.outstanding)} outstanding</strong>
+        </div>
+    ` : '';
+
     return `
         <div class="donation-card" style="animation-delay: ${delay}s">
             <div class="donor-name">${donor.donorName}</div>
             
             <div class="amount" style="font-size: 1.8rem; font-weight: 700; color: var(--primary-saffron); margin: 0.5rem 0;">
-                ${donor.amount > 0 ? formatCurrency(donor.amount) : 'Pledged'}
+                ${donor.amount > 0 ? formatCurrency(donor.amount) : donor.items.length > 0 || donor.amountHidden ? '' : 'Pledged'}
             </div>
+            ${donor.items.length > 0 ? `
+                <div class="in-kind-items" style="font-weight: 600; margin-bottom: 0.5rem;">
+                    📦 ${donor.items.map(inKindDescription).join(', ')}
+                </div>
+            ` : ''}
+            ${pledgeHtml}
 
             ${showDates ? `
                 <div class="date" style="font-size: 0.9rem; color: var(--text-muted);">
@@ -300,7 +396,7 @@ function renderDonorCard(donor, index) {
 // Update stats on public view
 function updateStats() {
     const totalDonations = donationsCache.length;
-    const totalAmount = donationsCache.reduce((sum, d) => sum + (d.amount || 0), 0);
+    const totalAmount = statsCache?.totalAmount ?? donationsCache.reduce((sum, d) => sum + (d.amount || 0), 0);
     const totalCategories = categoriesCache.length;
     const uniqueDonors = new Set(donationsCache.map(d => d.donorName)).size;
 
@@ -312,10 +408,23 @@ function updateStats() {
     if (statsCategories) statsCategories.textContent = totalCategories;
     if (statsTotalAmount) statsTotalAmount.textContent = formatCurrency(totalAmount);
     if (statsTotalDonors) statsTotalDonors.textContent = uniqueDonors;
+    renderInKindStats(statsCache?.inKind || { count: 0, estimatedValue: 0, items: [] });
 
     console.log('Stats updated:', { totalCategories, totalAmount, uniqueDonors, totalDonations });
 }
 
+// In-kind goods are totalled apart from the cash collection (see inKind in /api/public/stats)
+function renderInKindStats(inKind) {
+    const box = document.getElementById('statsInKindBox');
+    if (!box) return;
+    box.style.display = inKind.count > 0 ? '' : 'none';
+
+    document.getElementById('statsInKind').textContent = inKind.estimatedValue > 0
+        ? `≈ ${formatCurrency(inKind.estimatedValue)}`
+        : inKind.count;
+    document.getElementById('statsInKindItems').textContent = inKind.items.map(inKindDescription).join(' · ');
+}
+
 // Populate category filter dropdown
 function populateCategoryFilter() {
     const select = document.getElementById('categoryFilter');
@@ -359,33 +468,242 @@ async function setViewMode(mode) {
 // Render admin donations table
 function renderAdminDonations() {
     const tbody = document.getElementById('donationsTableBody');
+    const modeFilter = document.getElementById('donationModeFilter')?.value || '';
+    const chequeFilter = document.getElementById('chequeStatusFilter')?.value || '';
 
     // Sort donations by date (newest first)
-    const sortedDonations = [...donationsCache].sort((a, b) =>
-        new Date(b.date) - new Date(a.date)
-    );
+    const sortedDonations = donationsCache
+        .filter(d => !modeFilter || (d.paymentMode || 'cash') === modeFilter)
+        .filter(d => !chequeFilter || d.chequeStatus === chequeFilter)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    renderPaymentModeTotals(sortedDonations);
 
     tbody.innerHTML = sortedDonations.map(donation => {
         const category = donation.categoryId?.name ||
             categoriesCache.find(c => c._id === donation.categoryId)?.name || 'Unknown';
         const canEdit = canUserEdit();
         const canDelete = canUserDelete();
+        const canViewHistory = canEdit || hasPermission('canApproveDonation') || hasPermission('canViewLogs');
+        const canPrint = ['canAddDonation', 'canEditDonation', 'canApproveDonation', 'canExportData'].some(hasPermission);
+
+        const proposal = donation.proposedChange
+            ? `<br><small style="color: var(--warning);">⏳ ${donation.proposedChange.kind === 'edit' ? 'Edit' : 'Deletion'} awaiting approval</small>`
+            : '';
 
         return `
             <tr>
-                <td>${donation.donorName}</td>
-                <td>${formatCurrency(donation.amount)}</td>
+                <td>${escapeHtml(donation.donorName)}${donation.privacy && donation.privacy !== 'public' ? ` <small title="${PRIVACY_LABELS[donation.privacy]}">${donation.privacy === 'anonymous' ? '🔒' : '🙈'}</small>` : ''}${proposal}</td>
+                <td>${donationValueLabel(donation)}</td>
                 <td>${formatDate(donation.date)}</td>
                 <td>${category}</td>
+                <td>${paymentModeLabel(donation)}</td>
+                <td>${donation.receiptNumber || '-'}</td>
                 <td class="actions">
+                    ${canPrint && donation.receiptNumber ? `<button class="btn btn-sm btn-outline" onclick="openReceipt('${donation._id}')" title="Print receipt">🧾</button>
+                    <button class="btn btn-sm btn-outline" onclick="openReceipt('${donation._id}', 'pdf')" title="Receipt PDF">PDF</button>` : ''}
+                    ${canPrint && donation.receiptNumber && settingsCache.registration80G ? `<button class="btn btn-sm btn-outline" onclick="openReceipt('${donation._id}', 'pdf', '80g')" title="80G receipt PDF">80G</button>` : ''}
                     ${canEdit ? `<button class="btn btn-sm btn-outline" onclick="editDonation('${donation._id}')">✏️</button>` : ''}
                     ${canDelete ? `<button class="btn btn-sm btn-danger" onclick="deleteDonation('${donation._id}')">🗑️</button>` : ''}
+                    ${canViewHistory ? `<button class="btn btn-sm btn-outline" onclick="showDonationHistory('${donation._id}')" title="History">🕘</button>` : ''}
                 </td>
             </tr>
         `;
     }).join('');
 }
 
+// ==================== PAYMENT MODES ====================
+
+const PAYMENT_MODES = {
+    cash: '💵 Cash',
+    upi: '📱 UPI',
+    bank_transfer: '🏦 Bank Transfer',
+    cheque: '🧾 Cheque',
+    in_kind: '📦 In Kind'
+};
+
+const CHEQUE_STATUS_LABELS = {
+    pending: '⏳ Pending',
+    cleared: '✅ Cleared',
+    bounced: '❌ Bounced'
+};
+
+function paymentModeLabel(donation) {
+    const label = PAYMENT_MODES[donation.paymentMode] || PAYMENT_MODES.cash;
+    return donation.paymentMode === 'cheque'
+        ? `${label}<br><small>${CHEQUE_STATUS_LABELS[donation.chequeStatus] || ''}</small>`
+        : label;
+}
+
+// Total per payment mode for the donations currently listed (estimated value for goods)
+function renderPaymentModeTotals(donations) {
+    const container = document.getElementById('paymentModeTotals');
+    if (!container) return;
+
+    const totals = {};
+    donations.forEach(d => {
+        const mode = d.paymentMode || 'cash';
+        totals[mode] = (totals[mode] || 0) + ((mode === 'in_kind' ? d.estimatedValue : d.amount) || 0);
+    });
+
+    container.innerHTML = Object.keys(PAYMENT_MODES)
+        .filter(mode => totals[mode] !== undefined)
+        .map(mode => `<span>${PAYMENT_MODES[mode]}: <strong>${mode === 'in_kind' ? '≈ ' : ''}${formatCurrency(totals[mode])}</strong></span>`)
+        .join('');
+}
+
+// e.g. '50 bags Cement'
+function inKindDescription(d) {
+    return `${d.quantity} ${d.itemUnit || ''} ${d.itemName}`.replace(/\s+/g, ' ').trim();
+}
+
+// Amount, or the goods (and their estimated value) for in-kind donations
+function donationValueLabel(d) {
+    if (d.paymentMode !== 'in_kind') return formatCurrency(d.amount);
+    return `📦 ${escapeHtml(inKindDescription(d))}${d.estimatedValue ? ` <small>(≈ ${formatCurrency(d.estimatedValue)})</small>` : ''}`;
+}
+
+// Cheques need a number and a clearance status; other modes an optional reference.
+// In-kind donations take a material and quantity instead of an amount.
+function updatePaymentFields() {
+    const mode = document.getElementById('donationPaymentMode').value;
+    const inKind = mode === 'in_kind';
+    document.getElementById('inKindGroup').style.display = inKind ? 'block' : 'none';
+    document.getElementById('donationAmountGroup').style.display = inKind ? 'none' : 'block';
+    document.getElementById('donationAmount').required = !inKind;
+    document.getElementById('donationAmount').min = inKind ? 0 : 1;
+    document.getElementById('donationQuantity').required = inKind;
+    document.getElementById('chequeStatusGroup').style.display = mode === 'cheque' ? 'block' : 'none';
+    document.getElementById('paymentReferenceGroup').style.display = ['cash', 'in_kind'].includes(mode) ? 'none' : 'block';
+    document.getElementById('paymentReferenceLabel').textContent = mode === 'cheque'
+        ? 'Cheque Number *'
+        : 'Transaction / Reference No. (Optional)';
+}
+
+function setPaymentFields(donation) {
+    document.getElementById('donationPaymentMode').value = donation?.paymentMode || 'cash';
+    document.getElementById('donationPaymentReference').value = donation?.paymentReference || '';
+    document.getElementById('donationChequeStatus').value = donation?.chequeStatus || 'pending';
+    document.getElementById('donationCollectedBy').value = donation?.collectedBy || donation?.submittedBy || currentUser?.username || '';
+    populateDonationMaterialSelect(donation);
+    document.getElementById('donationQuantity').value = donation?.quantity ?? '';
+    document.getElementById('donationEstimatedValue').value = donation?.estimatedValue ?? '';
+    document.getElementById('donationEstimatedValue').dataset.edited = donation?.estimatedValue ? 'true' : '';
+    updatePaymentFields();
+}
+
+// ==================== MATERIALS ====================
+
+let materialsCache = [];
+
+async function loadMaterials() {
+    if (!hasPermission('canAddDonation') && !hasPermission('canEditDonation')) return;
+    try {
+        materialsCache = await apiGet('/api/materials?all=true');
+    } catch (error) {
+        console.error('Error loading materials:', error);
+    }
+}
+
+function materialLabel(material) {
+    return `${material.name}${material.nameHindi ? ` / ${material.nameHindi}` : ''} (${material.unit})`;
+}
+
+// Active materials, plus the donation's own material if it has since been retired
+function populateDonationMaterialSelect(donation) {
+    const select = document.getElementById('donationMaterialId');
+    const selectedId = donation?.materialId?._id || donation?.materialId || '';
+    const materials = materialsCache.filter(m => m.active || m._id === selectedId);
+    select.innerHTML = '<option value="">Select material</option>' +
+        materials.map(m => `<option value="${m._id}">${materialLabel(m)}</option>`).join('');
+    select.value = selectedId;
+}
+
+// Suggest the estimated value from the catalogue rate while it hasn't been typed in
+function suggestEstimatedValue() {
+    const material = materialsCache.find(m => m._id === document.getElementById('donationMaterialId').value);
+    const quantity = parseFloat(document.getElementById('donationQuantity').value);
+    const valueInput = document.getElementById('donationEstimatedValue');
+    if (material?.rate && quantity > 0 && !valueInput.dataset.edited) {
+        valueInput.value = Math.round(material.rate * quantity);
+    }
+}
+
+function renderMaterials() {
+    const list = document.getElementById('materialsList');
+    if (!list) return;
+
+    list.innerHTML = materialsCache.map(material => `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; padding: 0.4rem 0; border-bottom: 1px solid var(--glass-border); ${material.active ? '' : 'opacity: 0.5;'}">
+            <span>📦 ${materialLabel(material)}${material.rate ? ` · ${formatCurrency(material.rate)}/${material.unit}` : ''}</span>
+            <span>
+                <button class="btn btn-sm btn-outline" onclick="editMaterial('${material._id}')">✏️</button>
+                <button class="btn btn-sm btn-outline" onclick="toggleMaterialActive('${material._id}')">${material.active ? 'Retire' : 'Restore'}</button>
+            </span>
+        </div>
+    `).join('') || '<div class="empty-message">No materials yet</div>';
+}
+
+window.addMaterial = async function () {
+    const materialData = {
+        name: document.getElementById('materialNameInput').value.trim(),
+        nameHindi: document.getElementById('materialNameHindiInput').value.trim(),
+        unit: document.getElementById('materialUnitInput').value.trim(),
+        rate: document.getElementById('materialRateInput').value || null
+    };
+    if (!materialData.name || !materialData.unit) {
+        showToast('Enter the material name and unit', 'error');
+        return;
+    }
+
+    try {
+        await apiPost('/api/materials', materialData);
+        ['materialNameInput', 'materialNameHindiInput', 'materialUnitInput', 'materialRateInput']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        showToast('Material added', 'success');
+        await loadMaterials();
+        renderMaterials();
+    } catch (error) {
+        showToast(error.message || 'Error adding material', 'error');
+    }
+};
+
+window.editMaterial = async function (id) {
+    const material = materialsCache.find(m => m._id === id);
+    if (!material) return;
+    const name = prompt('Material name:', material.name);
+    if (name === null) return;
+    const nameHindi = prompt('Name in Hindi:', material.nameHindi || '');
+    if (nameHindi === null) return;
+    const unit = prompt('Unit (e.g. bags, kg, days):', material.unit);
+    if (unit === null) return;
+    const rate = prompt('Suggested rupees per unit (leave empty for none):', material.rate ?? '');
+    if (rate === null) return;
+
+    try {
+        await apiPut(`/api/materials/${id}`, { name: name.trim(), nameHindi: nameHindi.trim(), unit: unit.trim(), rate: rate.trim() || null });
+        showToast('Material updated', 'success');
+        await loadMaterials();
+        renderMaterials();
+    } catch (error) {
+        showToast(error.message || 'Error updating material', 'error');
+    }
+};
+
+window.toggleMaterialActive = async function (id) {
+    const material = materialsCache.find(m => m._id === id);
+    if (!material) return;
+
+    try {
+        await apiPut(`/api/materials/${id}`, { active: !material.active });
+        showToast(material.active ? 'Material retired' : 'Material restored', 'success');
+        await loadMaterials();
+        renderMaterials();
+    } catch (error) {
+        showToast(error.message || 'Error updating material', 'error');
+    }
+};
+
 // Render admin categories list
 function renderAdminCategories() {
     const container = document.getElementById('categoriesList');
@@ -419,6 +737,7 @@ function renderAdminCategories() {
 // Render sub-admins list
 async function renderSubAdmins() {
     const container = document.getElementById('subadminsList');
+    if (!hasPermission('canManageUsers')) return; // User list is owner only
 
     try {
         const subAdmins = await apiGet('/api/subadmins');
@@ -430,6 +749,7 @@ async function renderSubAdmins() {
 
         container.innerHTML = subAdmins.map(subadmin => {
             const perms = subadmin.permissions;
+            const isCollector = subadmin.role === 'collector';
             const assignedCats = categoriesCache.filter(c =>
                 perms.assignedCategories.length === 0 || perms.assignedCategories.includes(c._id)
             );
@@ -437,21 +757,30 @@ async function renderSubAdmins() {
             return `
                 <div class="subadmin-card">
                     <div class="subadmin-header">
-                        <span class="subadmin-username">👤 ${subadmin.username}</span>
+                        <span class="subadmin-username">👤 ${escapeHtml(subadmin.username)}</span>
                         <div class="actions">
                             <button class="btn btn-sm btn-outline" onclick="editSubAdmin('${subadmin._id}')">✏️ Edit</button>
+                            <button class="btn btn-sm btn-outline" data-user-id="${subadmin._id}" onclick="revokeUserSessions(this.dataset.userId)">🚪 Sign Out All</button>
                             <button class="btn btn-sm btn-danger" onclick="deleteSubAdmin('${subadmin._id}')">🗑️ Delete</button>
                         </div>
                     </div>
                     <div class="subadmin-permissions">
-                        <span class="permission-badge ${perms.canAddDonation ? '' : 'inactive'}">Add Donations</span>
-                        <span class="permission-badge ${perms.canEditDonation ? '' : 'inactive'}">Edit Donations</span>
-                        <span class="permission-badge ${perms.canDeleteDonation ? '' : 'inactive'}">Delete Donations</span>
-                        <span class="permission-badge ${perms.canManageCategory ? '' : 'inactive'}">Manage Categories</span>
+                        <span class="permission-badge">${ROLE_LABELS[subadmin.role] || subadmin.role}</span>
+                        ${isCollector ? `
+                            <span class="permission-badge ${perms.canAddDonation ? '' : 'inactive'}">Add Donations</span>
+                            <span class="permission-badge ${perms.canEditDonation ? '' : 'inactive'}">Edit Donations</span>
+                            <span class="permission-badge ${perms.canDeleteDonation ? '' : 'inactive'}">Delete Donations</span>
+                            <span class="permission-badge ${perms.canManageCategory ? '' : 'inactive'}">Manage Categories</span>
+                        ` : ''}
+                        <span class="permission-badge ${subadmin.twoFactor?.enabled ? '' : 'inactive'}">
+                            🔐 2FA ${subadmin.twoFactor?.enabled ? 'On' : (subadmin.requireTwoFactor ? 'Required' : 'Off')}
+                        </span>
                     </div>
-                    <p style="margin-top: 0.5rem; font-size: 0.85rem; color: var(--text-muted);">
-                        Categories: ${assignedCats.map(c => c.name).join(', ') || 'All'}
-                    </p>
+                    ${isCollector ? `
+                        <p style="margin-top: 0.5rem; font-size: 0.85rem; color: var(--text-muted);">
+                            Categories: ${assignedCats.map(c => c.name).join(', ') || 'All'}
+                        </p>
+                    ` : ''}
                 </div>
             `;
         }).join('');
@@ -462,33 +791,31 @@ async function renderSubAdmins() {
 
 // ==================== PERMISSIONS ====================
 
+// currentUser.permissions holds the effective flags for the user's role
+// (none apply until a required password change is done)
+function hasPermission(flag) {
+    if (currentUser?.mustChangePassword) return false;
+    return !!currentUser?.permissions?.[flag];
+}
+
 function canUserAdd() {
-    if (!currentUser) return false;
-    if (currentUser.type === 'admin') return true;
-    return currentUser.permissions?.canAddDonation;
+    return hasPermission('canAddDonation');
 }
 
 function canUserEdit() {
-    if (!currentUser) return false;
-    if (currentUser.type === 'admin') return true;
-    return currentUser.permissions?.canEditDonation;
+    return hasPermission('canEditDonation');
 }
 
 function canUserDelete() {
-    if (!currentUser) return false;
-    if (currentUser.type === 'admin') return true;
-    return currentUser.permissions?.canDeleteDonation;
+    return hasPermission('canDeleteDonation');
 }
 
 function canUserManageCategory() {
-    if (!currentUser) return false;
-    if (currentUser.type === 'admin') return true;
-    return currentUser.permissions?.canManageCategory;
+    return hasPermission('canManageCategory');
 }
 
 function canUserAccessCategory(categoryId) {
     if (!currentUser) return false;
-    if (currentUser.type === 'admin') return true;
     const perms = currentUser.permissions;
     return !perms.assignedCategories?.length || perms.assignedCategories.includes(categoryId);
 }
@@ -501,18 +828,12 @@ function updateAdminUIPermissions() {
 
     if (addDonationBtn) addDonationBtn.style.display = canUserAdd() ? 'flex' : 'none';
     if (addCategoryBtn) addCategoryBtn.style.display = canUserManageCategory() ? 'flex' : 'none';
-    if (addSubAdminBtn) addSubAdminBtn.style.display = currentUser?.type === 'admin' ? 'flex' : 'none';
-
-    // Hide sub-admins tab for non-main-admins
-    const subAdminTab = document.querySelector('[data-tab="subadmins"]');
-    if (subAdminTab) subAdminTab.style.display = currentUser?.type === 'admin' ? 'flex' : 'none';
+    if (addSubAdminBtn) addSubAdminBtn.style.display = hasPermission('canManageUsers') ? 'flex' : 'none';
 
-    // Hide settings password change for sub-admins
-    const settingsTab = document.getElementById('settingsTab');
-    if (settingsTab && currentUser?.type !== 'admin') {
-        const passwordSetting = settingsTab.querySelector('.setting-item:nth-child(2)');
-        if (passwordSetting) passwordSetting.style.display = 'none';
-    }
+    // Admin cards and settings marked with data-permission need that flag
+    document.querySelectorAll('#adminPanel [data-permission]').forEach(el => {
+        el.style.display = hasPermission(el.dataset.permission) ? '' : 'none';
+    });
 }
 
 // ==================== AUTHENTICATION ====================
@@ -529,37 +850,96 @@ async function handleLogin(e) {
 
     const username = document.getElementById('loginUsername').value.trim();
     const password = document.getElementById('loginPassword').value;
-    const captchaInput = document.getElementById('captchaInput').value;
-
-    // Verify Captcha
-    if (parseInt(captchaInput) !== currentCaptchaResult) {
-        showToast('Incorrect Captcha logic. Try again.', 'error');
-        generateCaptcha();
-        return;
-    }
+    const captchaAnswer = document.getElementById('captchaInput').value;
 
     try {
-        const result = await apiPost('/api/auth/login', { username, password });
+        const result = await apiPost('/api/auth/login', {
+            username,
+            password,
+            challengeId: currentCaptchaId,
+            captchaAnswer
+        });
 
-        if (result.success) {
-            currentUser = result.user;
-            showAdminPanel();
+        if (result.twoFactorRequired) {
+            pendingTwoFactorToken = result.twoFactorToken;
             closeModal('loginModal');
-            document.getElementById('currentUserDisplay').textContent =
-                currentUser.type === 'admin' ? '👑 Admin' : `👤 ${currentUser.username}`;
-            showToast(`Welcome, ${currentUser.username}!`, 'success');
+            document.getElementById('twoFactorLoginForm').reset();
+            openModal('twoFactorLoginModal');
+            return;
+        }
+
+        if (result.success) {
+            completeLogin(result);
         }
     } catch (error) {
-        showToast('Invalid username or password', 'error');
+        showToast(error.message === 'Invalid credentials' ? 'Invalid username or password' : error.message, 'error');
+        // Challenges are single use, fetch a new one for the next attempt
+        generateCaptcha();
+        document.getElementById('captchaInput').value = '';
+    }
+}
+
+// Second login step for accounts with two-factor enabled
+async function handleTwoFactorLogin(e) {
+    e.preventDefault();
+
+    const code = document.getElementById('twoFactorCode').value.trim();
+
+    try {
+        const result = await apiPost('/api/auth/login/2fa', {
+            twoFactorToken: pendingTwoFactorToken,
+            code
+        });
+        pendingTwoFactorToken = null;
+        closeModal('twoFactorLoginModal');
+        completeLogin(result);
+    } catch (error) {
+        showToast(error.message || 'Invalid two-factor code', 'error');
+        if (error.message?.includes('log in again')) {
+            closeModal('twoFactorLoginModal');
+            openLoginModal();
+        }
+    }
+}
+
+function completeLogin(result) {
+    currentUser = result.user;
+    authToken = result.token;
+    showAdminPanel();
+    closeModal('loginModal');
+    document.getElementById('currentUserDisplay').textContent =
+        `${ROLE_LABELS[currentUser.role] || '👤'} · ${currentUser.username}`;
+    showToast(`Welcome, ${currentUser.username}!`, 'success');
+
+    // Nothing else works on the server until the password is changed
+    if (currentUser.mustChangePassword) {
+        openChangePasswordModal(true);
+        return;
+    }
+
+    if (currentUser.twoFactorSetupRequired) {
+        showToast('Two-factor authentication is required for your account', 'warning');
+        startTwoFactorSetup();
     }
 }
 
 function logout() {
+    // Revoke the session on the server too (ignore failures, we sign out locally anyway)
+    if (authToken) apiPost('/api/auth/logout', {}).catch(() => { });
     currentUser = null;
+    authToken = null;
     hideAdminPanel();
     showToast('Logged out successfully', 'success');
 }
 
+// Session was signed out remotely or expired
+function sessionExpired() {
+    currentUser = null;
+    authToken = null;
+    hideAdminPanel();
+    showToast('Your session has ended. Please log in again.', 'warning');
+}
+
 async function showAdminPanel() {
     const panel = document.getElementById('adminPanel');
     panel.classList.add('active');
@@ -569,6 +949,9 @@ async function showAdminPanel() {
     document.getElementById('adminViewContainer').style.display = 'none';
 
     await loadAllData(); // Load data once for the panel
+    await loadDonors();
+    await loadPledges();
+    await loadMaterials();
     renderAdminDonations();
     renderAdminCategories();
     renderSubAdmins();
@@ -576,19 +959,13 @@ async function showAdminPanel() {
     populateDonationCategorySelect();
     updateAdminUIPermissions();
 
-    // Update pending badge
-    const pendingCount = donationsCache.filter(d => d.status === 'pending').length;
-    document.getElementById('pendingCountBadge').textContent = pendingCount;
-    if (pendingCount > 0) {
-        document.getElementById('pendingCountBadge').style.background = 'var(--error)';
-        document.getElementById('pendingCountBadge').style.color = 'white';
-    } else {
-        document.getElementById('pendingCountBadge').style.background = 'rgba(255,255,255,0.1)';
-    }
+    updatePendingCount();
 }
 
 function hideAdminPanel() {
     document.getElementById('adminPanel').classList.remove('active');
+    // Don't leave a locked modal (e.g. forced password change) for the next login
+    document.querySelectorAll('#adminPanel .modal.active').forEach(m => m.classList.remove('active', 'locked'));
 }
 
 // ==================== ADMIN CARD NAVIGATION ====================
@@ -638,6 +1015,22 @@ function showAdminView(viewName) {
             title = '✅ Pending Approvals';
             tabContent = document.getElementById('approvalsTab');
             break;
+        case 'trash':
+            title = '🗑️ Trash';
+            tabContent = document.getElementById('trashTab');
+            break;
+        case 'donors':
+            title = '🙏 Donors';
+            tabContent = document.getElementById('donorsTab');
+            break;
+        case 'pledges':
+            title = '🙏 Pledges Due';
+            tabContent = document.getElementById('pledgesTab');
+            break;
+        case 'mysubmissions':
+            title = '📝 My Submissions';
+            tabContent = document.getElementById('mySubmissionsTab');
+            break;
     }
 
     if (viewTitle) viewTitle.textContent = title;
@@ -645,6 +1038,36 @@ function showAdminView(viewName) {
         // Show the tab content directly
         viewContent.innerHTML = tabContent.innerHTML;
     }
+
+    if (viewName === 'subadmins') renderSessions();
+    if (viewName === 'trash') renderTrash();
+    if (viewName === 'approvals') {
+        renderPendingApprovals();
+        renderProposals();
+    }
+    if (viewName === 'mysubmissions') renderMySubmissions();
+    if (viewName === 'donors') renderDonors();
+    if (viewName === 'pledges') renderPledgesDue();
+    if (viewName === 'settings') {
+        const duplicateWindow = document.getElementById('duplicateWindowInput');
+        if (duplicateWindow) duplicateWindow.value = settingsCache.duplicateWindowDays ?? 3;
+        ['templeName', 'templeNameEnglish', 'templeAddress', 'trustPan', 'registration80G'].forEach(field => {
+            const input = document.getElementById(`${field}Input`);
+            if (input) input.value = settingsCache[field] || '';
+        });
+        renderMaterials();
+        const registrationDate = document.getElementById('registration80GDateInput');
+        if (registrationDate) registrationDate.value = settingsCache.registration80GDate?.split('T')[0] || '';
+        const form10BDYear = document.getElementById('form10BDYearInput');
+        if (form10BDYear && !form10BDYear.value) form10BDYear.value = financialYearOf(new Date());
+        renderTwoFactorStatus();
+        renderPasswordRecoveryStatus();
+    }
+    if (viewName === 'logs') {
+        renderLogs(1);
+        loadLogUsers();
+        verifyLogIntegrity();
+    }
 }
 
 function backToAdminNav() {
@@ -659,19 +1082,31 @@ function backToAdminNav() {
 
 // ==================== DONATIONS CRUD ====================
 
+// Set when the donation modal is fixing a rejected / sent-back submission
+let resubmitDonationId = null;
+
 function openAddDonationModal() {
+    resubmitDonationId = null;
     document.getElementById('donationModalTitle').textContent = 'Add Donation';
     document.getElementById('donationForm').reset();
     document.getElementById('donationId').value = '';
+    setDonationDonor(null);
+    setPaymentFields(null);
     document.getElementById('donationDate').valueAsDate = new Date();
     populateDonationCategorySelect();
     openModal('donationModal');
 }
 
-function editDonation(id) {
-    const donation = donationsCache.find(d => d._id === id);
+async function editDonation(id) {
+    let donation;
+    try {
+        donation = await apiGet(`/api/donations/${id}`); // The public list has no PAN / address
+    } catch (error) {
+        donation = donationsCache.find(d => d._id === id);
+    }
     if (!donation) return;
 
+    resubmitDonationId = null;
     document.getElementById('donationModalTitle').textContent = 'Edit Donation';
     document.getElementById('donationId').value = donation._id;
     document.getElementById('donorName').value = donation.donorName;
@@ -679,6 +1114,13 @@ function editDonation(id) {
     document.getElementById('donationDate').value = donation.date.split('T')[0];
     document.getElementById('donationCategory').value = donation.categoryId?._id || donation.categoryId;
     document.getElementById('donationNotes').value = donation.notes || '';
+    document.getElementById('donationPan').value = donation.pan || '';
+    document.getElementById('donationAddress').value = donation.donorAddress || '';
+    document.getElementById('donationPrivacy').value = donation.privacy || 'public';
+    document.getElementById('donationNotesPublic').checked = !!donation.notesPublic;
+    setDonationDonor(donation.donorId?._id || donation.donorId);
+    populateDonationPledgeSelect(donation.pledgeId || '');
+    setPaymentFields(donation);
 
     populateDonationCategorySelect();
     openModal('donationModal');
@@ -693,15 +1135,57 @@ async function handleDonationSubmit(e) {
         amount: parseInt(document.getElementById('donationAmount').value),
         date: document.getElementById('donationDate').value,
         categoryId: document.getElementById('donationCategory').value,
-        notes: document.getElementById('donationNotes').value.trim()
+        donorId: document.getElementById('donationDonorId').value || null,
+        notes: document.getElementById('donationNotes').value.trim(),
+        pan: document.getElementById('donationPan').value.trim().toUpperCase(),
+        donorAddress: document.getElementById('donationAddress').value.trim(),
+        paymentMode: document.getElementById('donationPaymentMode').value,
+        paymentReference: document.getElementById('donationPaymentReference').value.trim(),
+        chequeStatus: document.getElementById('donationChequeStatus').value,
+        collectedBy: document.getElementById('donationCollectedBy').value.trim(),
+        pledgeId: document.getElementById('donationPledgeId').value || null,
+        privacy: document.getElementById('donationPrivacy').value,
+        notesPublic: document.getElementById('donationNotesPublic').checked
     };
+    if (donationData.paymentMode === 'in_kind') {
+        Object.assign(donationData, {
+            amount: 0,
+            materialId: document.getElementById('donationMaterialId').value || null,
+            quantity: parseFloat(document.getElementById('donationQuantity').value),
+            estimatedValue: parseInt(document.getElementById('donationEstimatedValue').value) || null
+        });
+        if (!donationData.materialId || !(donationData.quantity > 0)) {
+            showToast('Choose the material and enter the quantity', 'error');
+            return;
+        }
+    }
+    if (['cash', 'in_kind'].includes(donationData.paymentMode)) donationData.paymentReference = '';
+    if (donationData.paymentMode === 'cheque' && !donationData.paymentReference) {
+        showToast('Enter the cheque number', 'error');
+        return;
+    }
+
+    if (!isValidPan(donationData.pan)) {
+        showToast('Invalid PAN, expected the format ABCDE1234F', 'error');
+        return;
+    }
 
     try {
-        if (id) {
-            await apiPut(`/api/donations/${id}`, donationData);
-            showToast('Donation updated successfully', 'success');
+        if (resubmitDonationId) {
+            await apiPost(`/api/donations/${resubmitDonationId}/resubmit`, donationData);
+            resubmitDonationId = null;
+            showToast('Donation resubmitted for approval', 'success');
+            renderMySubmissions();
+        } else if (id) {
+            const res = await apiPut(`/api/donations/${id}`, donationData);
+            if (res.proposed) {
+                showToast('Edit sent to the admin for approval', 'warning');
+            } else {
+                showToast('Donation updated successfully', 'success');
+            }
         } else {
-            const res = await apiPost('/api/donations', donationData);
+            const res = await postDonationConfirmingDuplicates(donationData);
+            if (!res) return;
             if (res.status === 'pending') {
                 showToast('Donation submitted for approval', 'warning');
             } else {
@@ -711,6 +1195,7 @@ async function handleDonationSubmit(e) {
 
         closeModal('donationModal');
         await loadAllData();
+        await loadPledges();
         renderAdminDonations();
         renderPublicView();
         updateStats();
@@ -719,21 +1204,126 @@ async function handleDonationSubmit(e) {
     }
 }
 
+// Create a donation; when the server reports a likely duplicate, show the matches
+// and only save after the user confirms. Resolves to null when cancelled.
+async function postDonationConfirmingDuplicates(donationData) {
+    try {
+        return await apiPost('/api/donations', donationData);
+    } catch (error) {
+        if (!error.data?.duplicate) throw error;
+
+        const list = error.data.matches.map(match =>
+            `• ${match.donorName} – ${formatCurrency(match.amount)} on ${formatDate(match.date)}` +
+            `${match.submittedBy ? ` (entered by ${match.submittedBy})` : ''}`).join('\n');
+        if (!confirm(`${error.message}:\n\n${list}\n\nSave this donation anyway?`)) return null;
+        return apiPost('/api/donations', { ...donationData, confirmDuplicate: true });
+    }
+}
+
 async function deleteDonation(id) {
-    if (!confirm('Are you sure you want to delete this donation?')) return;
+    const reason = prompt('Move this donation to the trash? Reason (optional):');
+    if (reason === null) return;
 
     try {
-        await apiDelete(`/api/donations/${id}`);
-        await loadAllData();
-        renderAdminDonations();
-        renderPublicView();
-        updateStats();
-        showToast('Donation deleted', 'success');
+        const res = await apiDelete(`/api/donations/${id}`, { reason });
+        await refreshAfterDonationChange();
+        if (res.proposed) {
+            showToast('Deletion sent to the admin for approval', 'warning');
+            return;
+        }
+        showToast('Donation moved to trash', 'success', {
+            label: '↩️ Undo',
+            onClick: () => restoreFromTrash('donations', id)
+        });
     } catch (error) {
         showToast(error.message || 'Error deleting donation', 'error');
     }
 }
 
+async function refreshAfterDonationChange() {
+    await loadAllData();
+    renderAdminDonations();
+    renderPublicView();
+    updateStats();
+}
+
+// ==================== DONATION HISTORY ====================
+
+const REVISION_LABELS = {
+    baseline: '📄 Before history',
+    create: '➕ Created',
+    edit: '✏️ Edited',
+    approve: '✅ Approved',
+    reject: '⛔ Rejected',
+    request_changes: '↩️ Changes requested',
+    resubmit: '📤 Resubmitted',
+    delete: '🗑️ Moved to trash',
+    restore: '↩️ Restored',
+    revert: '⏪ Reverted',
+    merge: '🔀 Donor merged'
+};
+
+let historyDonationId = null;
+
+async function showDonationHistory(id) {
+    try {
+        const { donation, revisions } = await apiGet(`/api/donations/${id}/history`);
+        historyDonationId = id;
+        const canRevert = hasPermission('canApproveDonation') && donation && !donation.deletedAt;
+
+        document.getElementById('donationHistorySummary').textContent = donation
+            ? `${donation.donorName} · ${formatCurrency(donation.amount)} · ${revisions.length} revisions`
+            : 'This donation was permanently deleted';
+
+        const timeline = document.getElementById('donationHistoryTimeline');
+        if (revisions.length === 0) {
+            timeline.innerHTML = '<p style="text-align: center; padding: 2rem; color: var(--text-muted);">No changes recorded yet</p>';
+        } else {
+            // Revisions come newest first, compare each with the one before it
+            timeline.innerHTML = revisions.map((rev, index) => {
+                const previous = revisions[index + 1]?.snapshot;
+                const fields = Object.keys(rev.snapshot).map(field => {
+                    const changed = previous && JSON.stringify(previous[field]) !== JSON.stringify(rev.snapshot[field]);
+                    return `
+                        <div style="font-size: 0.85rem; ${changed ? 'color: var(--warning); font-weight: 600;' : ''}">
+                            ${escapeHtml(field)}: ${formatLogValue(field, rev.snapshot[field])}
+                            ${changed ? `<span style="color: var(--text-muted); font-weight: normal;">(was ${formatLogValue(field, previous[field])})</span>` : ''}
+                        </div>
+                    `;
+                }).join('');
+
+                return `
+                    <div class="setting-item" style="display: block; margin-bottom: 0.75rem;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; flex-wrap: wrap;">
+                            <strong>#${rev.revision} ${REVISION_LABELS[rev.action] || escapeHtml(rev.action)}</strong>
+                            <small style="color: var(--text-muted);">${escapeHtml(rev.user)} · ${new Date(rev.timestamp).toLocaleString('en-IN')}</small>
+                        </div>
+                        ${rev.note ? `<p style="font-size: 0.85rem; color: var(--text-muted); margin: 0.25rem 0;">“${escapeHtml(rev.note)}”</p>` : ''}
+                        <div style="margin-top: 0.5rem;">${fields}</div>
+                        ${canRevert && index > 0 ? `<button class="btn btn-sm btn-outline" style="margin-top: 0.5rem;" onclick="revertDonation(${rev.revision})">⏪ Revert to this</button>` : ''}
+                    </div>
+                `;
+            }).join('');
+        }
+        openModal('donationHistoryModal');
+    } catch (error) {
+        showToast(error.message || 'Error loading donation history', 'error');
+    }
+}
+
+async function revertDonation(revision) {
+    if (!confirm(`Revert this donation to revision #${revision}?`)) return;
+
+    try {
+        await apiPost(`/api/donations/${historyDonationId}/revert`, { revision });
+        await refreshAfterDonationChange();
+        showToast(`Reverted to revision #${revision}`, 'success');
+        showDonationHistory(historyDonationId);
+    } catch (error) {
+        showToast(error.message || 'Error reverting donation', 'error');
+    }
+}
+
 function populateDonationCategorySelect() {
     const select = document.getElementById('donationCategory');
     const sortedCategories = [...categoriesCache].sort((a, b) => a.order - b.order);
@@ -747,6 +1337,76 @@ function populateDonationCategorySelect() {
     });
 }
 
+// ==================== RECEIPTS ====================
+
+// The receipt routes need the session token, so fetch it and open the result.
+// type '80g' gives the tax-exemption receipt.
+async function openReceipt(id, format = 'html', type = '') {
+    const receiptWindow = window.open('', '_blank'); // Opened now so popup blockers allow it
+    try {
+        const query = type ? `?type=${type}` : '';
+        const response = await fetch(`${API_URL}/api/donations/${id}/receipt${format === 'pdf' ? '.pdf' : ''}${query}`, {
+            headers: authHeaders()
+        });
+        checkSession(response);
+        if (!response.ok) throw new Error((await response.json()).message);
+
+        const url = URL.createObjectURL(await response.blob());
+        if (receiptWindow) {
+            receiptWindow.location = url;
+        } else {
+            window.open(url, '_blank');
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        if (receiptWindow) receiptWindow.close();
+        showToast(error.message || 'Failed to load receipt', 'error');
+    }
+}
+
+// ==================== 80G / FORM 10BD ====================
+
+function isValidPan(pan) {
+    return !pan || /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan);
+}
+
+// Indian financial year (April to March) of a date, e.g. '2026-27'
+function financialYearOf(date) {
+    const d = new Date(date);
+    const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+// Download the Form 10BD donor statement for the chosen financial year
+async function exportForm10BD() {
+    const year = document.getElementById('form10BDYearInput').value.trim() || financialYearOf(new Date());
+    try {
+        const response = await fetch(`${API_URL}/api/reports/form-10bd?year=${encodeURIComponent(year)}`, {
+            headers: authHeaders()
+        });
+        checkSession(response);
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Export failed');
+        }
+
+        const withoutPan = parseInt(response.headers.get('X-Donations-Without-Pan')) || 0;
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `form-10bd-${year}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+        if (withoutPan > 0) {
+            showToast(`Form 10BD exported. ${withoutPan} donations without a PAN were left out`, 'warning');
+        } else {
+            showToast('Form 10BD exported', 'success');
+        }
+    } catch (error) {
+        showToast(error.message || 'Error exporting Form 10BD', 'error');
+    }
+}
+
 // ==================== CATEGORIES CRUD ====================
 
 function openAddCategoryModal() {
@@ -794,20 +1454,28 @@ async function handleCategorySubmit(e) {
 }
 
 async function deleteCategory(id) {
-    if (!confirm('Are you sure you want to delete this category?')) return;
+    const reason = prompt('Move this category to the trash? Reason (optional):');
+    if (reason === null) return;
 
     try {
-        await apiDelete(`/api/categories/${id}`);
-        await loadAllData();
-        renderAdminCategories();
-        populateCategoryFilter();
-        updateStats();
-        showToast('Category deleted', 'success');
+        await apiDelete(`/api/categories/${id}`, { reason });
+        await refreshAfterCategoryChange();
+        showToast('Category moved to trash', 'success', {
+            label: '↩️ Undo',
+            onClick: () => restoreFromTrash('categories', id)
+        });
     } catch (error) {
         showToast(error.message || 'Error deleting category', 'error');
     }
 }
 
+async function refreshAfterCategoryChange() {
+    await loadAllData();
+    renderAdminCategories();
+    populateCategoryFilter();
+    updateStats();
+}
+
 async function moveCategoryUp(id) {
     const sortedCategories = [...categoriesCache].sort((a, b) => a.order - b.order);
     const index = sortedCategories.findIndex(c => c._id === id);
@@ -861,10 +1529,17 @@ function openAddSubAdminModal() {
     document.getElementById('subAdminForm').reset();
     document.getElementById('subAdminId').value = '';
     document.getElementById('subAdminPassword').required = true;
+    toggleCollectorPermissions();
     populateAssignedCategories();
     openModal('subAdminModal');
 }
 
+// Permission flags and categories only apply to collectors
+function toggleCollectorPermissions() {
+    const role = document.getElementById('subAdminRole').value;
+    document.getElementById('collectorPermissions').style.display = role === 'collector' ? 'block' : 'none';
+}
+
 async function editSubAdmin(id) {
     try {
         const subAdmins = await apiGet('/api/subadmins');
@@ -874,6 +1549,8 @@ async function editSubAdmin(id) {
         document.getElementById('subAdminModalTitle').textContent = 'Edit Sub-Admin';
         document.getElementById('subAdminId').value = subadmin._id;
         document.getElementById('subAdminUsername').value = subadmin.username;
+        document.getElementById('subAdminRole').value = subadmin.role;
+        toggleCollectorPermissions();
         document.getElementById('subAdminPassword').value = '';
         document.getElementById('subAdminPassword').required = false;
 
@@ -881,6 +1558,7 @@ async function editSubAdmin(id) {
         document.getElementById('permEditDonation').checked = subadmin.permissions.canEditDonation;
         document.getElementById('permDeleteDonation').checked = subadmin.permissions.canDeleteDonation;
         document.getElementById('permManageCategory').checked = subadmin.permissions.canManageCategory;
+        document.getElementById('subAdminRequireTwoFactor').checked = !!subadmin.requireTwoFactor;
 
         populateAssignedCategories(subadmin.permissions.assignedCategories);
         openModal('subAdminModal');
@@ -904,13 +1582,15 @@ async function handleSubAdminSubmit(e) {
 
     const subAdminData = {
         username,
+        role: document.getElementById('subAdminRole').value,
         permissions: {
             canAddDonation: document.getElementById('permAddDonation').checked,
             canEditDonation: document.getElementById('permEditDonation').checked,
             canDeleteDonation: document.getElementById('permDeleteDonation').checked,
             canManageCategory: document.getElementById('permManageCategory').checked,
             assignedCategories
-        }
+        },
+        requireTwoFactor: document.getElementById('subAdminRequireTwoFactor').checked
     };
 
     if (password) {
@@ -949,22 +1629,176 @@ async function deleteSubAdmin(id) {
     }
 }
 
-function populateAssignedCategories(selected = []) {
-    const container = document.getElementById('assignedCategoriesGroup');
-
-    container.innerHTML = categoriesCache.map(cat => `
-        <label class="checkbox-label">
-            <input type="checkbox" value="${cat._id}" ${selected.includes(cat._id) ? 'checked' : ''}>
-            <span>${cat.name}</span>
-        </label>
-    `).join('');
+// ==================== ACTIVE SESSIONS ====================
+
+// Short "Browser on OS" label from a user agent string
+function describeDevice(userAgent = '') {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+            : /Firefox\//.test(userAgent) ? 'Firefox'
+                : /Safari\//.test(userAgent) ? 'Safari'
+                    : 'Unknown browser';
+    const os = /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+            : /Windows/.test(userAgent) ? 'Windows'
+                : /Mac OS X/.test(userAgent) ? 'macOS'
+                    : /Linux/.test(userAgent) ? 'Linux'
+                        : 'Unknown device';
+    return `${browser} on ${os}`;
 }
 
-// ==================== SETTINGS ====================
+async function renderSessions() {
+    const tbody = document.getElementById('sessionsTableBody');
+    if (!tbody || !hasPermission('canManageUsers')) return;
 
-function openChangePasswordModal() {
-    document.getElementById('changePasswordForm').reset();
-    openModal('changePasswordModal');
+    try {
+        const sessions = await apiGet('/api/sessions');
+
+        if (sessions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 2rem;">No active sessions</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = sessions.map(session => `
+            <tr>
+                <td>👤 ${escapeHtml(session.username)}${session.current ? ' <span class="permission-badge">This device</span>' : ''}</td>
+                <td title="${escapeHtml(session.userAgent)}">${describeDevice(session.userAgent)}</td>
+                <td><code style="font-size: 0.75rem;">${escapeHtml(session.ipAddress)}</code></td>
+                <td><small>${new Date(session.lastSeenAt).toLocaleString('en-IN')}</small></td>
+                <td>
+                    ${session.current ? '' : `<button class="btn btn-sm btn-danger" onclick="revokeSession('${session._id}')">🚪 Sign Out</button>`}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--error);">Error loading sessions</td></tr>';
+    }
+}
+
+async function revokeSession(id) {
+    if (!confirm('Sign out this device?')) return;
+
+    try {
+        await apiDelete(`/api/sessions/${id}`);
+        renderSessions();
+        showToast('Device signed out', 'success');
+    } catch (error) {
+        showToast(error.message || 'Error signing out device', 'error');
+    }
+}
+
+async function revokeUserSessions(userId) {
+    try {
+        const user = (await apiGet('/api/subadmins')).find(s => s._id === userId);
+        if (!user || !confirm(`Sign out ${user.username} from all devices?`)) return;
+
+        const result = await apiDelete(`/api/subadmins/${userId}/sessions`);
+        renderSessions();
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message || 'Error signing out user', 'error');
+    }
+}
+
+// ==================== TRASH ====================
+
+function deletedInfo(item) {
+    return `
+        <small>${new Date(item.deletedAt).toLocaleString('en-IN')}<br>by ${escapeHtml(item.deletedBy)}</small>
+        ${item.deleteReason ? `<br><small style="color: var(--text-muted);">“${escapeHtml(item.deleteReason)}”</small>` : ''}
+    `;
+}
+
+async function renderTrash() {
+    const donationsBody = document.getElementById('trashDonationsTableBody');
+    const categoriesBody = document.getElementById('trashCategoriesTableBody');
+    if (!donationsBody || !hasPermission('canManageTrash')) return;
+
+    try {
+        const trash = await apiGet('/api/trash');
+
+        donationsBody.innerHTML = trash.donations.length === 0
+            ? '<tr><td colspan="5" style="text-align: center; padding: 2rem;">Trash is empty</td></tr>'
+            : trash.donations.map(d => `
+                <tr>
+                    <td>${escapeHtml(d.donorName)}</td>
+                    <td>${donationValueLabel(d)}</td>
+                    <td>${escapeHtml(d.categoryId?.name || '—')}</td>
+                    <td>${deletedInfo(d)}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline" onclick="showDonationHistory('${d._id}')" title="History">🕘</button>
+                        <button class="btn btn-sm btn-outline" onclick="restoreFromTrash('donations', '${d._id}')">↩️ Restore</button>
+                        <button class="btn btn-sm btn-danger" onclick="purgeFromTrash('donations', '${d._id}')">🔥 Delete Forever</button>
+                    </td>
+                </tr>
+            `).join('');
+
+        categoriesBody.innerHTML = trash.categories.length === 0
+            ? '<tr><td colspan="3" style="text-align: center; padding: 2rem;">Trash is empty</td></tr>'
+            : trash.categories.map(c => `
+                <tr>
+                    <td>${escapeHtml(c.name)}</td>
+                    <td>${deletedInfo(c)}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline" onclick="restoreFromTrash('categories', '${c._id}')">↩️ Restore</button>
+                        <button class="btn btn-sm btn-danger" onclick="purgeFromTrash('categories', '${c._id}')">🔥 Delete Forever</button>
+                    </td>
+                </tr>
+            `).join('');
+    } catch (error) {
+        showToast('Error loading trash', 'error');
+    }
+}
+
+// Also used by the Undo toast right after deleting
+async function restoreFromTrash(type, id) {
+    try {
+        await apiPost(`/api/trash/${type}/${id}/restore`, {});
+        if (type === 'categories') {
+            await refreshAfterCategoryChange();
+        } else {
+            await refreshAfterDonationChange();
+        }
+        renderTrash();
+        showToast('Restored from trash', 'success');
+    } catch (error) {
+        showToast(error.message || 'Error restoring', 'error');
+    }
+}
+
+async function purgeFromTrash(type, id) {
+    if (!confirm('Permanently delete this record? This cannot be undone.')) return;
+
+    try {
+        await apiDelete(`/api/trash/${type}/${id}`);
+        renderTrash();
+        showToast('Permanently deleted', 'success');
+    } catch (error) {
+        showToast(error.message || 'Error deleting permanently', 'error');
+    }
+}
+
+function populateAssignedCategories(selected = []) {
+    const container = document.getElementById('assignedCategoriesGroup');
+
+    container.innerHTML = categoriesCache.map(cat => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${cat._id}" ${selected.includes(cat._id) ? 'checked' : ''}>
+            <span>${cat.name}</span>
+        </label>
+    `).join('');
+}
+
+// ==================== SETTINGS ====================
+
+// `forced` locks the modal open until the password has been changed
+function openChangePasswordModal(forced = false) {
+    const modal = document.getElementById('changePasswordModal');
+    document.getElementById('changePasswordForm').reset();
+    document.getElementById('changePasswordNotice').style.display = forced ? 'block' : 'none';
+    modal.querySelector('.close-btn').style.display = forced ? 'none' : '';
+    modal.classList.toggle('locked', forced);
+    openModal('changePasswordModal');
 }
 
 async function handleChangePassword(e) {
@@ -981,19 +1815,163 @@ async function handleChangePassword(e) {
 
     try {
         await apiPut('/api/settings/password', { currentPassword, newPassword });
+        const wasForced = currentUser?.mustChangePassword;
+        document.getElementById('changePasswordModal').classList.remove('locked');
+        document.getElementById('changePasswordModal').querySelector('.close-btn').style.display = '';
         closeModal('changePasswordModal');
         showToast('Password changed successfully', 'success');
+
+        if (wasForced) {
+            currentUser.mustChangePassword = false;
+            showAdminPanel(); // Re-render with the user's permissions
+            if (currentUser.twoFactorSetupRequired) {
+                showToast('Two-factor authentication is required for your account', 'warning');
+                startTwoFactorSetup();
+            }
+        }
     } catch (error) {
         showToast(error.message || 'Error changing password', 'error');
     }
 }
 
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+async function renderTwoFactorStatus() {
+    const statusEl = document.getElementById('twoFactorStatus');
+    const enableBtn = document.getElementById('twoFactorEnableBtn');
+    const disableBtn = document.getElementById('twoFactorDisableBtn');
+    if (!statusEl) return;
+
+    try {
+        const status = await apiGet('/api/auth/2fa');
+        statusEl.textContent = status.enabled
+            ? `✅ Enabled (${status.recoveryCodesRemaining} recovery codes left)`
+            : '❌ Not enabled';
+        if (enableBtn) enableBtn.style.display = status.enabled ? 'none' : 'inline-flex';
+        if (disableBtn) disableBtn.style.display = status.enabled && !status.required ? 'inline-flex' : 'none';
+    } catch (error) {
+        statusEl.textContent = 'Unable to load status';
+    }
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const setup = await apiPost('/api/auth/2fa/setup', {});
+        document.getElementById('twoFactorQr').src = setup.qrCode;
+        document.getElementById('twoFactorSecret').textContent = setup.secret;
+        document.getElementById('twoFactorSetupForm').reset();
+        document.getElementById('twoFactorSetupStep').style.display = 'block';
+        document.getElementById('twoFactorRecoveryStep').style.display = 'none';
+        openModal('twoFactorSetupModal');
+    } catch (error) {
+        showToast(error.message || 'Error starting two-factor setup', 'error');
+    }
+}
+
+async function handleTwoFactorSetupSubmit(e) {
+    e.preventDefault();
+
+    const code = document.getElementById('twoFactorSetupCode').value.trim();
+
+    try {
+        const result = await apiPost('/api/auth/2fa/enable', { code });
+        document.getElementById('recoveryCodesList').innerHTML = result.recoveryCodes
+            .map(c => `<code>${c}</code>`).join('');
+        document.getElementById('twoFactorSetupStep').style.display = 'none';
+        document.getElementById('twoFactorRecoveryStep').style.display = 'block';
+        if (currentUser) currentUser.twoFactorSetupRequired = false;
+        showToast('Two-factor authentication enabled', 'success');
+        renderTwoFactorStatus();
+    } catch (error) {
+        showToast(error.message || 'Error enabling two-factor', 'error');
+    }
+}
+
+async function disableTwoFactor() {
+    const code = prompt('Enter a code from your authenticator app (or a recovery code) to disable 2FA:');
+    if (!code) return;
+
+    try {
+        await apiPost('/api/auth/2fa/disable', { code: code.trim() });
+        showToast('Two-factor authentication disabled', 'success');
+        renderTwoFactorStatus();
+    } catch (error) {
+        showToast(error.message || 'Error disabling two-factor', 'error');
+    }
+}
+
+// ==================== PASSWORD RECOVERY ====================
+
+function openPasswordRecoveryModal() {
+    closeModal('loginModal');
+    document.getElementById('passwordRecoveryForm').reset();
+    generateCaptcha();
+    openModal('passwordRecoveryModal');
+}
+
+async function handlePasswordRecovery(e) {
+    e.preventDefault();
+
+    const newPassword = document.getElementById('recoveryNewPassword').value;
+    if (newPassword !== document.getElementById('recoveryConfirmPassword').value) {
+        showToast('New passwords do not match', 'error');
+        return;
+    }
+
+    try {
+        const result = await apiPost('/api/auth/recover', {
+            username: document.getElementById('recoveryUsername').value.trim(),
+            recoveryCode: document.getElementById('recoveryCode').value.trim(),
+            newPassword,
+            challengeId: currentCaptchaId,
+            captchaAnswer: document.getElementById('recoveryCaptchaInput').value
+        });
+        closeModal('passwordRecoveryModal');
+        showToast(`${result.message} (${result.recoveryCodesRemaining} recovery codes left)`, 'success');
+        openModal('loginModal');
+        generateCaptcha(); // The recovery consumed the last challenge
+    } catch (error) {
+        showToast(error.message || 'Error resetting password', 'error');
+        generateCaptcha();
+        document.getElementById('recoveryCaptchaInput').value = '';
+    }
+}
+
+async function renderPasswordRecoveryStatus() {
+    const statusEl = document.getElementById('passwordRecoveryStatus');
+    if (!statusEl || !hasPermission('canManageUsers')) return;
+
+    try {
+        const status = await apiGet('/api/auth/recovery-codes');
+        statusEl.textContent = status.remaining > 0
+            ? `✅ ${status.remaining} codes left`
+            : '⚠️ No codes left, generate new ones';
+    } catch (error) {
+        statusEl.textContent = 'Unable to load status';
+    }
+}
+
+async function regeneratePasswordRecoveryCodes() {
+    const currentPassword = prompt('Enter your current password to generate new recovery codes (old codes will stop working):');
+    if (!currentPassword) return;
+
+    try {
+        const result = await apiPost('/api/auth/recovery-codes', { currentPassword });
+        document.getElementById('passwordRecoveryCodesList').innerHTML = result.recoveryCodes
+            .map(c => `<code>${c}</code>`).join('');
+        openModal('passwordRecoveryCodesModal');
+        renderPasswordRecoveryStatus();
+    } catch (error) {
+        showToast(error.message || 'Error generating recovery codes', 'error');
+    }
+}
+
 async function exportData() {
     try {
         const [categories, donations, subadmins] = await Promise.all([
             apiGet('/api/categories'),
             apiGet('/api/donations'),
-            apiGet('/api/subadmins')
+            hasPermission('canManageUsers') ? apiGet('/api/subadmins') : []
         ]);
 
         const data = { categories, donations, subadmins, exportedAt: new Date().toISOString() };
@@ -1015,6 +1993,208 @@ function importData(event) {
     event.target.value = '';
 }
 
+// ==================== ACTIVITY LOGS ====================
+
+let logsCache = [];
+let logsPage = 1;
+
+// Query parameters from the filter controls (dates cover whole local days)
+function logFilterParams() {
+    const params = new URLSearchParams();
+    const value = id => document.getElementById(id)?.value.trim() || '';
+
+    if (value('logActionFilter')) params.set('action', value('logActionFilter'));
+    if (value('logEntityFilter')) params.set('entity', value('logEntityFilter'));
+    if (value('logUserFilter')) params.set('user', value('logUserFilter'));
+    if (value('logSearchFilter')) params.set('q', value('logSearchFilter'));
+    if (value('logFromFilter')) params.set('from', new Date(`${value('logFromFilter')}T00:00:00`).toISOString());
+    if (value('logToFilter')) params.set('to', new Date(`${value('logToFilter')}T23:59:59.999`).toISOString());
+    return params;
+}
+
+async function renderLogs(page = logsPage) {
+    if (!hasPermission('canViewLogs')) return;
+
+    try {
+        const params = logFilterParams();
+        params.set('page', page);
+        params.set('limit', 50);
+        const result = await apiGet(`/api/logs?${params}`);
+        logsCache = result.logs;
+        logsPage = result.pagination.page;
+        renderLogRows();
+        renderLogsPagination(result.pagination);
+    } catch (error) {
+        showToast('Error loading activity logs', 'error');
+    }
+}
+
+// Filters are applied on the server, start again from the first page
+function filterLogs() {
+    renderLogs(1);
+}
+
+function clearLogFilters() {
+    ['logActionFilter', 'logEntityFilter', 'logUserFilter', 'logSearchFilter', 'logFromFilter', 'logToFilter']
+        .forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    renderLogs(1);
+}
+
+// Fill the user filter suggestions
+async function loadLogUsers() {
+    const datalist = document.getElementById('logUserOptions');
+    if (!datalist || !hasPermission('canViewLogs')) return;
+
+    try {
+        const users = await apiGet('/api/logs/users');
+        datalist.innerHTML = users.map(user => `<option value="${user}">`).join('');
+    } catch (error) {
+        console.error('Error loading log users:', error);
+    }
+}
+
+// Download the logs matching the current filters (all pages)
+async function exportLogsCSV() {
+    try {
+        const response = await fetch(`${API_URL}/api/logs/export?${logFilterParams()}`, {
+            headers: authHeaders()
+        });
+        checkSession(response);
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || 'Export failed');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `activity-logs-${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showToast('Activity logs exported', 'success');
+    } catch (error) {
+        showToast(error.message || 'Error exporting activity logs', 'error');
+    }
+}
+
+function renderLogRows() {
+    const tbody = document.getElementById('logsTableBody');
+    if (!tbody) return;
+
+    const logs = logsCache;
+    if (logs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 2rem;">No activity found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = logs.map(log => `
+        <tr>
+            <td><small>${new Date(log.timestamp).toLocaleString('en-IN')}</small>${log.seq ? `<br><small style="color: var(--text-muted);">#${log.seq}</small>` : ''}</td>
+            <td>${escapeHtml(log.user)}<br><small style="color: var(--text-muted);">${escapeHtml(log.userType)}</small></td>
+            <td>${escapeHtml(log.action)}</td>
+            <td>${escapeHtml(log.entity)}</td>
+            <td style="max-width: 320px; word-wrap: break-word;">
+                ${escapeHtml(log.details)}
+                ${log.changes?.length ? `<br><button class="btn btn-sm btn-outline" style="margin-top: 0.25rem;" onclick="showLogDiff('${log._id}')">🔍 ${log.changes.length} change${log.changes.length > 1 ? 's' : ''}</button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Check the log hash chain on the server and show the result as a badge
+async function verifyLogIntegrity() {
+    const badge = document.getElementById('logIntegrityBadge');
+    if (!badge || !hasPermission('canViewLogs')) return;
+
+    badge.textContent = '⏳ Checking integrity...';
+    badge.style.color = '';
+    try {
+        const result = await apiGet('/api/logs/verify');
+        if (result.valid) {
+            badge.textContent = `✅ Integrity verified (${result.checked} entries)`;
+            badge.style.color = 'var(--success)';
+            badge.title = `Last entry #${result.lastSeq}, hash ${result.lastHash}\nVerified ${new Date(result.verifiedAt).toLocaleString('en-IN')}`;
+        } else {
+            const broken = result.firstBroken;
+            badge.textContent = `❌ Tampering detected${broken.seq ? ` at #${broken.seq}` : ''}`;
+            badge.title = `${broken.reason}\n${result.checked} entries verified before the break`;
+            badge.style.color = 'var(--error)';
+            showToast(`Activity log integrity check failed: ${broken.reason}`, 'error');
+        }
+    } catch (error) {
+        badge.textContent = '⚠️ Integrity unknown';
+        badge.title = 'Could not verify the log chain';
+    }
+}
+
+// Readable diff value: category names instead of ids, dates in local time
+// Diff value as HTML (values can be anything a user typed, so the text is escaped)
+function formatLogValue(field, value) {
+    if (value === null || value === undefined || value === '') return '<span style="color: var(--text-muted);">—</span>';
+    if (typeof value === 'object' && !Array.isArray(value)) return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+    return escapeHtml(logValueText(field, value));
+}
+
+function logValueText(field, value) {
+    if (typeof value === 'boolean') return value ? '✅ Yes' : '❌ No';
+    if (field === 'categoryId') {
+        return categoriesCache.find(c => c._id === value)?.name || value;
+    }
+    if (field === 'donorId') {
+        const donor = donorsCache.find(d => d._id === value);
+        return donor ? donorDisplayName(donor) : value;
+    }
+    if (field === 'paymentMode') return PAYMENT_MODES[value] || value;
+    if (field === 'materialId') return materialsCache.find(m => m._id === value)?.name || value;
+    if (field === 'chequeStatus') return CHEQUE_STATUS_LABELS[value] || value;
+    if (field === 'privacy') return PRIVACY_LABELS[value] || value;
+    if (Array.isArray(value)) {
+        if (field.endsWith('assignedCategories')) {
+            return value.map(id => categoriesCache.find(c => c._id === id)?.name || id).join(', ') || 'All';
+        }
+        return value.join(', ');
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+        return new Date(value).toLocaleString('en-IN');
+    }
+    return value;
+}
+
+function showLogDiff(logId) {
+    const log = logsCache.find(l => l._id === logId);
+    if (!log?.changes) return;
+
+    document.getElementById('logDiffSummary').textContent =
+        `${log.details} · ${log.user} · ${new Date(log.timestamp).toLocaleString('en-IN')}`;
+    document.getElementById('logDiffTableBody').innerHTML = log.changes.map(change => `
+        <tr>
+            <td><strong>${escapeHtml(change.field)}</strong></td>
+            <td style="color: var(--error); word-break: break-word;">${formatLogValue(change.field, change.old)}</td>
+            <td style="color: var(--success); word-break: break-word;">${formatLogValue(change.field, change.new)}</td>
+        </tr>
+    `).join('');
+    openModal('logDiffModal');
+}
+
+function renderLogsPagination({ page, pages }) {
+    const container = document.getElementById('logsPagination');
+    if (!container) return;
+
+    if (pages <= 1) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <button class="btn btn-sm btn-outline" onclick="renderLogs(${page - 1})" ${page <= 1 ? 'disabled' : ''}>◀ Prev</button>
+        <span style="align-self: center; font-size: 0.9rem;">Page ${page} of ${pages}</span>
+        <button class="btn btn-sm btn-outline" onclick="renderLogs(${page + 1})" ${page >= pages ? 'disabled' : ''}>Next ▶</button>
+    `;
+}
+
 // ==================== MODAL HELPERS ====================
 
 function openModal(modalId) {
@@ -1027,15 +2207,29 @@ function closeModal(modalId) {
 
 // ==================== TOAST NOTIFICATIONS ====================
 
-function showToast(message, type = 'success') {
+let toastTimeout;
+
+// `action` ({ label, onClick }) adds a button, e.g. Undo, and keeps the toast up longer
+function showToast(message, type = 'success', action = null) {
     const toast = document.getElementById('toast');
     toast.className = `toast ${type}`;
     toast.querySelector('.toast-message').textContent = message;
+
+    const actionBtn = toast.querySelector('.toast-action');
+    if (actionBtn) {
+        actionBtn.style.display = action ? '' : 'none';
+        actionBtn.textContent = action?.label || '';
+        actionBtn.onclick = action ? () => {
+            toast.classList.remove('show');
+            action.onClick();
+        } : null;
+    }
     toast.classList.add('show');
 
-    setTimeout(() => {
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
         toast.classList.remove('show');
-    }, 3000);
+    }, action ? 8000 : 3000);
 }
 
 // ==================== EVENT LISTENERS ====================
@@ -1091,11 +2285,16 @@ function setupEventListeners() {
     document.getElementById('categoryForm').addEventListener('submit', handleCategorySubmit);
     document.getElementById('subAdminForm').addEventListener('submit', handleSubAdminSubmit);
     document.getElementById('changePasswordForm').addEventListener('submit', handleChangePassword);
+    document.getElementById('twoFactorLoginForm').addEventListener('submit', handleTwoFactorLogin);
+    document.getElementById('twoFactorSetupForm').addEventListener('submit', handleTwoFactorSetupSubmit);
+    document.getElementById('passwordRecoveryForm').addEventListener('submit', handlePasswordRecovery);
+    document.getElementById('donorForm').addEventListener('submit', handleDonorSubmit);
+    document.getElementById('pledgeForm').addEventListener('submit', handlePledgeSubmit);
 
-    // Close modals on outside click
+    // Close modals on outside click (locked modals must be completed first)
     document.querySelectorAll('.modal').forEach(modal => {
         modal.addEventListener('click', function (e) {
-            if (e.target === this) {
+            if (e.target === this && !this.classList.contains('locked')) {
                 this.classList.remove('active');
             }
         });
@@ -1104,7 +2303,7 @@ function setupEventListeners() {
     // Keyboard shortcuts
     document.addEventListener('keydown', function (e) {
         if (e.key === 'Escape') {
-            document.querySelectorAll('.modal.active').forEach(m => m.classList.remove('active'));
+            document.querySelectorAll('.modal.active:not(.locked)').forEach(m => m.classList.remove('active'));
         }
     });
 }
@@ -1117,6 +2316,13 @@ document.addEventListener('DOMContentLoaded', initApp);
 window.openAddDonationModal = openAddDonationModal;
 window.editDonation = editDonation;
 window.deleteDonation = deleteDonation;
+window.showDonationHistory = showDonationHistory;
+window.openReceipt = openReceipt;
+window.updatePaymentFields = updatePaymentFields;
+window.suggestEstimatedValue = suggestEstimatedValue;
+window.renderAdminDonations = renderAdminDonations;
+window.exportForm10BD = exportForm10BD;
+window.revertDonation = revertDonation;
 window.openAddCategoryModal = openAddCategoryModal;
 window.editCategory = editCategory;
 window.deleteCategory = deleteCategory;
@@ -1125,7 +2331,24 @@ window.moveCategoryDown = moveCategoryDown;
 window.openAddSubAdminModal = openAddSubAdminModal;
 window.editSubAdmin = editSubAdmin;
 window.deleteSubAdmin = deleteSubAdmin;
+window.renderTrash = renderTrash;
+window.restoreFromTrash = restoreFromTrash;
+window.purgeFromTrash = purgeFromTrash;
+window.renderSessions = renderSessions;
+window.revokeSession = revokeSession;
+window.revokeUserSessions = revokeUserSessions;
+window.toggleCollectorPermissions = toggleCollectorPermissions;
+window.renderLogs = renderLogs;
+window.filterLogs = filterLogs;
+window.clearLogFilters = clearLogFilters;
+window.exportLogsCSV = exportLogsCSV;
+window.showLogDiff = showLogDiff;
+window.verifyLogIntegrity = verifyLogIntegrity;
 window.openChangePasswordModal = openChangePasswordModal;
+window.startTwoFactorSetup = startTwoFactorSetup;
+window.disableTwoFactor = disableTwoFactor;
+window.openPasswordRecoveryModal = openPasswordRecoveryModal;
+window.regeneratePasswordRecoveryCodes = regeneratePasswordRecoveryCodes;
 window.setViewMode = setViewMode;
 window.exportData = exportData;
 window.importData = importData;
@@ -1255,7 +2478,7 @@ function downloadPDF() {
                     <tr>
                         <td>${i + 1}</td>
                         <td>${donation.donorName}</td>
-                        <td class="amount">${formatCurrency(donation.amount)}</td>
+                        <td class="amount">${donationValueLabel(donation)}</td>
                         <td>${formatDate(donation.date)}</td>
                     </tr>
                 `;
@@ -1288,16 +2511,20 @@ function downloadPDF() {
 
 // ==================== CAPTCHA & SPLASH ====================
 
-let currentCaptchaResult = 0;
+let currentCaptchaId = null;
 
-function generateCaptcha() {
-    const num1 = Math.floor(Math.random() * 10) + 1;
-    const num2 = Math.floor(Math.random() * 10) + 1;
-    currentCaptchaResult = num1 + num2;
-
-    const captchaLabel = document.getElementById('captchaLabel');
-    if (captchaLabel) {
-        captchaLabel.textContent = `${num1} + ${num2} = ?`;
+// Fetch a login challenge from the server (answer is verified by /api/auth/login
+// and /api/auth/recover, both forms show the same question)
+async function generateCaptcha() {
+    const captchaLabels = document.querySelectorAll('#captchaLabel, #recoveryCaptchaLabel');
+    try {
+        const challenge = await apiGet('/api/auth/challenge');
+        currentCaptchaId = challenge.challengeId;
+        captchaLabels.forEach(label => { label.textContent = challenge.question; });
+    } catch (error) {
+        currentCaptchaId = null;
+        captchaLabels.forEach(label => { label.textContent = '...'; });
+        showToast('Could not load security check', 'error');
     }
 }
 
@@ -1432,12 +2659,32 @@ document.getElementById('csvText')?.addEventListener('input', (e) => {
     updateCSVPreview(text);
 });
 
+// Duplicates depend on the category, check again when it changes
+document.getElementById('csvCategoryId')?.addEventListener('change', async () => {
+    const file = document.getElementById('csvFile').files[0];
+    updateCSVPreview(file ? await file.text() : document.getElementById('csvText').value);
+});
+
+// Likely duplicates of the previewed rows: row index -> { matches, fileMatches }
+let csvDuplicates = new Map();
+
+function csvRowToDonation(row, categoryId) {
+    return {
+        donorName: row.name,
+        amount: parseFloat(row.rashi) || 0,
+        date: row.dinank || new Date().toISOString(),
+        categoryId: categoryId,
+        notes: ''
+    };
+}
+
 function updateCSVPreview(text) {
     const hasHeaders = document.getElementById('csvHasHeaders').checked;
     const data = parseCSV(text, hasHeaders);
 
     const preview = document.getElementById('csvPreview');
     const previewContent = document.getElementById('csvPreviewContent');
+    csvDuplicates = new Map();
 
     if (data.length > 0) {
         preview.style.display = 'block';
@@ -1454,12 +2701,65 @@ function updateCSVPreview(text) {
                 `).join('')}
                 ${data.length > 5 ? '<tr><td colspan="3">... and ' + (data.length - 5) + ' more</td></tr>' : ''}
             </table>
+            <div id="csvDuplicateReport"></div>
         `;
+        checkCSVDuplicates(data);
     } else {
         preview.style.display = 'none';
     }
 }
 
+// Ask the server which rows look like donations already recorded (or repeated
+// within the file). Flagged rows are skipped on import unless ticked.
+async function checkCSVDuplicates(data) {
+    const report = document.getElementById('csvDuplicateReport');
+    const categoryId = document.getElementById('csvCategoryId').value;
+    if (!report) return;
+    if (!categoryId) {
+        report.innerHTML = '<p class="form-hint">Select a category to check for duplicates.</p>';
+        return;
+    }
+
+    report.innerHTML = '<p class="form-hint">Checking for duplicates...</p>';
+    try {
+        const result = await apiPost('/api/donations/check-duplicates', {
+            categoryId,
+            rows: data.map(row => csvRowToDonation(row, categoryId))
+        });
+        csvDuplicates = new Map(result.rows.map(row => [row.index, row]));
+    } catch (error) {
+        report.innerHTML = `<p class="form-hint">Could not check for duplicates: ${error.message}</p>`;
+        return;
+    }
+
+    if (csvDuplicates.size === 0) {
+        report.innerHTML = '<p style="color: var(--success);">✅ No likely duplicates found</p>';
+        return;
+    }
+
+    report.innerHTML = `
+        <p style="color: var(--warning); margin-top: 0.75rem;">
+            ⚠️ ${csvDuplicates.size} likely duplicate(s) (same name, amount and category within ${result.windowDays} days).
+            They will be skipped unless you tick "Import anyway".
+        </p>
+        <table style="width: 100%; font-size: 0.9rem;">
+            <tr><th>Row</th><th>Name</th><th>Amount</th><th>Looks like</th><th>Import anyway</th></tr>
+            ${[...csvDuplicates.values()].map(({ index, matches, fileMatches }) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(data[index].name)}</td>
+                    <td>${escapeHtml(data[index].rashi)}</td>
+                    <td>
+                        ${matches.map(match => `${escapeHtml(match.donorName)} – ${formatCurrency(match.amount)}, ${formatDate(match.date)}`).join('<br>')}
+                        ${fileMatches.map(other => `Row ${other + 1} of this file`).join('<br>')}
+                    </td>
+                    <td><input type="checkbox" class="csv-import-anyway" value="${index}"></td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
 // Handle CSV import form submission
 document.getElementById('csvImportForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -1488,22 +2788,27 @@ document.getElementById('csvImportForm')?.addEventListener('submit', async (e) =
             return;
         }
 
-        showToast(`Importing ${data.length} donations...`, 'info');
+        // Flagged duplicates are skipped unless the user ticked "Import anyway"
+        const importAnyway = new Set([...document.querySelectorAll('.csv-import-anyway:checked')]
+            .map(box => parseInt(box.value, 10)));
+        const rows = data
+            .map((row, index) => ({ row, index }))
+            .filter(({ index }) => !csvDuplicates.has(index) || importAnyway.has(index));
+        let duplicateCount = data.length - rows.length;
+
+        showToast(`Importing ${rows.length} donations...`, 'info');
 
         let successCount = 0;
         let errorCount = 0;
 
         // Import donations in batches of 5 for speed
         const BATCH_SIZE = 5;
-        for (let i = 0; i < data.length; i += BATCH_SIZE) {
-            const batch = data.slice(i, i + BATCH_SIZE);
-            const promises = batch.map(row =>
+        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+            const batch = rows.slice(i, i + BATCH_SIZE);
+            const promises = batch.map(({ row, index }) =>
                 apiPost('/api/donations', {
-                    donorName: row.name,
-                    amount: parseFloat(row.rashi) || 0,
-                    date: row.dinank || new Date().toISOString(),
-                    categoryId: categoryId,
-                    notes: ''
+                    ...csvRowToDonation(row, categoryId),
+                    confirmDuplicate: importAnyway.has(index)
                 }).then(() => ({ status: 'fulfilled' }))
                     .catch(err => ({ status: 'rejected', reason: err, row }))
             );
@@ -1511,6 +2816,7 @@ document.getElementById('csvImportForm')?.addEventListener('submit', async (e) =
             const results = await Promise.all(promises);
             results.forEach(res => {
                 if (res.status === 'fulfilled') successCount++;
+                else if (res.reason.data?.duplicate) duplicateCount++; // Recorded since the preview
                 else {
                     errorCount++;
                     console.error('Failed row:', res.row, res.reason);
@@ -1522,7 +2828,7 @@ document.getElementById('csvImportForm')?.addEventListener('submit', async (e) =
         document.getElementById('csvImportForm').reset();
         document.getElementById('csvPreview').style.display = 'none';
 
-        showToast(`Import complete! Success: ${successCount}, Errors: ${errorCount}`, 'success');
+        showToast(`Import complete! Success: ${successCount}, Skipped duplicates: ${duplicateCount}, Errors: ${errorCount}`, 'success');
 
         // Refresh data
         await loadAllData();
@@ -1538,7 +2844,7 @@ document.getElementById('csvImportForm')?.addEventListener('submit', async (e) =
 // ==================== APPROVALS WORKFLOW ====================
 
 function renderPendingApprovals() {
-    if (!currentUser || currentUser.type !== 'admin') {
+    if (!hasPermission('canApproveDonation')) {
         const tab = document.getElementById('approvalsTab');
         if (tab) tab.style.display = 'none';
         return;
@@ -1559,57 +2865,798 @@ function renderPendingApprovals() {
 
     tbody.innerHTML = pending.map(donation => `
         <tr>
+            <td><input type="checkbox" class="approval-select" value="${donation._id}"></td>
             <td>${donation.donorName}</td>
-            <td>${formatCurrency(donation.amount)}</td>
+            <td>${donationValueLabel(donation)}</td>
             <td>${formatDate(donation.date)}</td>
             <td>${donation.categoryId?.name || '-'}</td>
+            <td>${donation.submittedBy || '-'}</td>
             <td>
                 <button class="btn btn-sm btn-outline" onclick="approveDonation('${donation._id}')" title="Approve">✅</button>
-                <button class="btn btn-sm btn-danger" onclick="deleteDonation('${donation._id}')" title="Reject">❌</button>
+                <button class="btn btn-sm btn-outline" onclick="reviewDonation('${donation._id}', 'request_changes')" title="Request changes">↩️</button>
+                <button class="btn btn-sm btn-danger" onclick="reviewDonation('${donation._id}', 'reject')" title="Reject">❌</button>
             </td>
         </tr>
     `).join('');
 }
 
-async function approveDonation(id) {
-    try {
-        await apiPut(`/api/donations/${id}/approve`, {});
-        showToast('Donation approved!', 'success');
-        await loadAllData();
-        renderPendingApprovals();
-        renderAdminDonations();
-        renderPublicView();
-        updateStats();
+const REVIEW_ACTIONS = {
+    approve: { endpoint: 'approve', done: 'approved' },
+    reject: { endpoint: 'reject', done: 'rejected', prompt: 'Reason for rejecting (shown to the submitter):' },
+    request_changes: {
+        endpoint: 'request-changes', done: 'sent back for changes', prompt: 'What needs to be fixed? (shown to the submitter):'
+    }
+};
 
-        // Update badge
-        const pendingCount = donationsCache.filter(d => d.status === 'pending').length;
-        const badge = document.getElementById('pendingCountBadge');
-        if (badge) {
-            badge.textContent = pendingCount;
-            if (pendingCount > 0) {
-                badge.style.background = 'var(--error)';
-                badge.style.color = 'white';
-            } else {
-                badge.style.background = 'rgba(255,255,255,0.1)';
-            }
-        }
-    } catch (error) {
-        showToast(error.message || 'Error approving donation', 'error');
+// Ask for the mandatory reason; null when cancelled or left empty
+function promptReviewReason(action) {
+    const review = REVIEW_ACTIONS[action];
+    if (!review.prompt) return '';
+    const reason = prompt(review.prompt);
+    if (reason === null) return null;
+    if (!reason.trim()) {
+        showToast('A reason is required', 'error');
+        return null;
     }
+    return reason.trim();
 }
 
-// ==================== SEARCH & FILTER EVENT LISTENERS ====================
+async function reviewDonation(id, action) {
+    const reason = promptReviewReason(action);
+    if (reason === null) return;
 
-// Search input - real-time filtering
-document.getElementById('searchInput')?.addEventListener('input', (e) => {
-    const searchTerm = e.target.value;
-    const categoryFilter = document.getElementById('categoryFilter')?.value || '';
-    const statusFilter = document.getElementById('paymentStatusFilter')?.value || '';
-    renderPublicView(searchTerm, categoryFilter, statusFilter);
-});
+    try {
+        await apiPut(`/api/donations/${id}/${REVIEW_ACTIONS[action].endpoint}`, { reason });
+        showToast(`Donation ${REVIEW_ACTIONS[action].done}`, 'success');
+        await refreshAfterReview();
+    } catch (error) {
+        showToast(error.message || 'Error reviewing donation', 'error');
+    }
+}
 
-// Category filter
-document.getElementById('categoryFilter')?.addEventListener('change', (e) => {
+function approveDonation(id) {
+    return reviewDonation(id, 'approve');
+}
+
+function toggleAllApprovals(checked) {
+    document.querySelectorAll('#approvalsTableBody .approval-select').forEach(box => {
+        box.checked = checked;
+    });
+}
+
+async function bulkReviewDonations(action) {
+    const ids = [...document.querySelectorAll('#approvalsTableBody .approval-select:checked')].map(box => box.value);
+    if (ids.length === 0) {
+        showToast('Select at least one donation', 'warning');
+        return;
+    }
+    const reason = promptReviewReason(action);
+    if (reason === null) return;
+
+    try {
+        const result = await apiPost('/api/donations/bulk-review', { ids, action, reason });
+        if (result.failed.length > 0) {
+            showToast(`${result.updated.length} ${REVIEW_ACTIONS[action].done}, ${result.failed.length} failed: ${result.failed[0].message}`, 'warning');
+        } else {
+            showToast(`${result.updated.length} donation(s) ${REVIEW_ACTIONS[action].done}`, 'success');
+        }
+        await refreshAfterReview();
+    } catch (error) {
+        showToast(error.message || 'Error reviewing donations', 'error');
+    }
+}
+
+// ==================== PROPOSED CHANGES ====================
+
+const PROPOSAL_FIELDS = [
+    { field: 'donorName', label: 'Donor' },
+    { field: 'amount', label: 'Amount', format: formatCurrency },
+    { field: 'date', label: 'Date', format: formatDate },
+    { field: 'categoryId', label: 'Category' },
+    { field: 'donorId', label: 'Donor profile' },
+    { field: 'notes', label: 'Notes' },
+    { field: 'pan', label: 'PAN' },
+    { field: 'donorAddress', label: 'Donor address' },
+    { field: 'paymentMode', label: 'Payment mode' },
+    { field: 'paymentReference', label: 'Reference no.' },
+    { field: 'chequeStatus', label: 'Cheque status' },
+    { field: 'collectedBy', label: 'Collected by' },
+    { field: 'itemName', label: 'Material' },
+    { field: 'quantity', label: 'Quantity' },
+    { field: 'estimatedValue', label: 'Estimated value', format: formatCurrency },
+    { field: 'privacy', label: 'Public display', format: value => PRIVACY_LABELS[value] || value },
+    { field: 'notesPublic', label: 'Notes shown publicly', format: value => value ? 'Yes' : 'No' }
+];
+
+function formatProposalValue({ field, format }, value) {
+    if (field === 'categoryId' || field === 'donorId') value = value?._id || value;
+    if (format && value !== null && value !== undefined && value !== '') return escapeHtml(format(value));
+    return formatLogValue(field, value);
+}
+
+// Current vs proposed values of each donation with a pending edit or deletion
+async function renderProposals() {
+    const container = document.getElementById('proposalsList');
+    if (!container) return;
+
+    let donations;
+    try {
+        donations = await apiGet('/api/donations/proposals');
+    } catch (error) {
+        container.innerHTML = `<div class="empty-message">${error.message}</div>`;
+        return;
+    }
+
+    if (donations.length === 0) {
+        container.innerHTML = '<div class="empty-message">No proposed edits or deletions</div>';
+        return;
+    }
+
+    container.innerHTML = donations.map(donation => {
+        const proposal = donation.proposedChange;
+        const isEdit = proposal.kind === 'edit';
+        const rows = PROPOSAL_FIELDS.map(item => {
+            const current = donation[item.field];
+            const changed = isEdit && proposal.fields && item.field in proposal.fields;
+            const proposed = changed ? proposal.fields[item.field] : current;
+            return `
+                <tr style="${changed ? 'background: rgba(255, 193, 7, 0.12);' : ''}">
+                    <td><strong>${item.label}</strong></td>
+                    <td style="${changed ? 'color: var(--error);' : ''} word-break: break-word;">${formatProposalValue(item, current)}</td>
+                    <td style="${changed ? 'color: var(--success); font-weight: 600;' : ''} word-break: break-word;">
+                        ${isEdit ? formatProposalValue(item, proposed) : '<span style="color: var(--error);">🗑️ Deleted</span>'}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="glass-card" style="padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; gap: 0.5rem; flex-wrap: wrap; margin-bottom: 0.5rem;">
+                    <div>
+                        <strong>${isEdit ? '✏️ Edit' : '🗑️ Deletion'}</strong> proposed by <strong>${escapeHtml(proposal.proposedBy)}</strong>
+                        <small style="opacity: 0.7;">· ${new Date(proposal.proposedAt).toLocaleString('en-IN')}</small>
+                        ${proposal.reason ? `<div><small>Reason: ${escapeHtml(proposal.reason)}</small></div>` : ''}
+                    </div>
+                    <div>
+                        <button class="btn btn-sm btn-outline" onclick="reviewProposal('${donation._id}', 'approve')">✅ Apply</button>
+                        <button class="btn btn-sm btn-danger" onclick="reviewProposal('${donation._id}', 'reject')">❌ Reject</button>
+                    </div>
+                </div>
+                <table class="admin-table">
+                    <thead>
+                        <tr><th>Field</th><th>Current</th><th>Proposed</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+}
+
+async function reviewProposal(id, action) {
+    let reason = '';
+    if (action === 'reject') {
+        reason = prompt('Reason for rejecting this change:');
+        if (reason === null) return;
+        if (!reason.trim()) {
+            showToast('A reason is required', 'error');
+            return;
+        }
+    }
+
+    try {
+        await apiPut(`/api/donations/${id}/proposal/${action}`, { reason });
+        showToast(action === 'approve' ? 'Change applied' : 'Proposed change rejected', 'success');
+        renderProposals();
+        await refreshAfterReview();
+    } catch (error) {
+        showToast(error.message || 'Error reviewing change', 'error');
+    }
+}
+
+async function refreshAfterReview() {
+    await loadAllData();
+    renderPendingApprovals();
+    renderAdminDonations();
+    renderPublicView();
+    updateStats();
+    updatePendingCount();
+    const selectAll = document.getElementById('approvalsSelectAll');
+    if (selectAll) selectAll.checked = false;
+}
+
+function updatePendingCount() {
+    const pendingCount = donationsCache.filter(d => d.status === 'pending').length;
+    const counter = document.getElementById('pendingCountCard');
+    if (counter) counter.textContent = pendingCount;
+}
+
+// ==================== MY SUBMISSIONS ====================
+
+const SUBMISSION_STATUS = {
+    pending: { label: '⏳ Pending', color: 'var(--warning)' },
+    approved: { label: '✅ Approved', color: 'var(--success)' },
+    rejected: { label: '⛔ Rejected', color: 'var(--error)' },
+    changes_requested: { label: '↩️ Changes requested', color: 'var(--warning)' }
+};
+
+let mySubmissionsCache = [];
+
+async function renderMySubmissions() {
+    const tbody = document.getElementById('mySubmissionsTableBody');
+    if (!tbody) return;
+
+    try {
+        mySubmissionsCache = await apiGet('/api/donations/mine');
+    } catch (error) {
+        tbody.innerHTML = `<tr><td colspan="6" class="empty-message">${error.message}</td></tr>`;
+        return;
+    }
+
+    if (mySubmissionsCache.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-message">You have not entered any donations yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = mySubmissionsCache.map(donation => {
+        const status = SUBMISSION_STATUS[donation.status] || { label: donation.status, color: 'inherit' };
+        const canFix = ['rejected', 'changes_requested'].includes(donation.status);
+        const review = donation.reviewReason
+            ? `${escapeHtml(donation.reviewReason)}<br><small style="opacity: 0.7;">— ${escapeHtml(donation.reviewedBy)}, ${formatDate(donation.reviewedAt)}</small>`
+            : '-';
+        return `
+            <tr>
+                <td>${escapeHtml(donation.donorName)}</td>
+                <td>${donationValueLabel(donation)}</td>
+                <td>${formatDate(donation.date)}</td>
+                <td><span style="color: ${status.color}; font-weight: 600;">${status.label}</span></td>
+                <td>${review}</td>
+                <td>${canFix ? `<button class="btn btn-sm btn-primary" onclick="openResubmitModal('${donation._id}')">✏️ Fix & Resubmit</button>` : ''}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function openResubmitModal(id) {
+    const donation = mySubmissionsCache.find(d => d._id === id);
+    if (!donation) return;
+
+    populateDonationCategorySelect();
+    document.getElementById('donationModalTitle').textContent = 'Fix & Resubmit Donation';
+    document.getElementById('donationId').value = '';
+    document.getElementById('donorName').value = donation.donorName;
+    document.getElementById('donationAmount').value = donation.amount;
+    document.getElementById('donationDate').value = donation.date.split('T')[0];
+    document.getElementById('donationCategory').value = donation.categoryId?._id || donation.categoryId;
+    document.getElementById('donationNotes').value = donation.notes || '';
+    document.getElementById('donationPan').value = donation.pan || '';
+    document.getElementById('donationAddress').value = donation.donorAddress || '';
+    document.getElementById('donationPrivacy').value = donation.privacy || 'public';
+    document.getElementById('donationNotesPublic').checked = !!donation.notesPublic;
+    setDonationDonor(donation.donorId?._id || donation.donorId);
+    populateDonationPledgeSelect(donation.pledgeId || '');
+    setPaymentFields(donation);
+    resubmitDonationId = id;
+    openModal('donationModal');
+}
+
+// ==================== DONORS ====================
+
+let donorsCache = [];
+let duplicateGroups = [];
+
+function canLookUpDonors() {
+    return ['canAddDonation', 'canEditDonation', 'canManageDonors'].some(flag => hasPermission(flag));
+}
+
+function donorDisplayName(donor) {
+    return donor.nameHindi || donor.nameEnglish;
+}
+
+async function loadDonors() {
+    if (!canLookUpDonors()) return;
+    try {
+        donorsCache = await apiGet('/api/donors');
+    } catch (error) {
+        console.error('Error loading donors:', error);
+    }
+}
+
+function donorMatches(donor, term) {
+    const searchable = [donor.nameHindi, donor.nameEnglish, donor.phone, donor.family, donor.gotra]
+        .join(' ').toLowerCase() + ' ' + transliterateHindiToEnglish(donor.nameHindi || '');
+    return searchable.includes(term);
+}
+
+// --- Donor picker in the donation form ---
+
+function setDonationDonor(donorId) {
+    document.getElementById('donationDonorId').value = donorId || '';
+    const status = document.getElementById('donorLinkStatus');
+    const donor = donorsCache.find(d => d._id === donorId);
+    status.innerHTML = donor
+        ? `🔗 Donor profile: <strong>${escapeHtml(donorDisplayName(donor))}</strong> ${donor.categoryId?.name ? `(${escapeHtml(donor.categoryId.name)})` : ''}
+           <button type="button" class="btn btn-sm btn-outline" onclick="setDonationDonor(null)" title="Unlink">✖</button>`
+        : '';
+    document.getElementById('donorSuggestions').innerHTML = '';
+    populateDonationPledgeSelect();
+}
+
+// Typing a name unlinks the profile and suggests matching donors
+function suggestDonors() {
+    setDonationDonor(null);
+    const term = document.getElementById('donorName').value.trim().toLowerCase();
+    const container = document.getElementById('donorSuggestions');
+    if (term.length < 2) return;
+
+    const matches = donorsCache.filter(donor => donorMatches(donor, term)).slice(0, 5);
+    container.innerHTML = matches.map(donor => `
+        <button type="button" class="btn btn-sm btn-outline" style="display: block; width: 100%; text-align: left; margin-top: 0.25rem;"
+            onclick="setDonationDonor('${donor._id}')">
+            ${escapeHtml(donorDisplayName(donor))}${donor.nameHindi && donor.nameEnglish ? ` / ${escapeHtml(donor.nameEnglish)}` : ''}
+            <small style="opacity: 0.7;">· ${escapeHtml(donor.categoryId?.name || '-')}${donor.phone ? ` · ${escapeHtml(donor.phone)}` : ''} · ${formatCurrency(donor.totals.total)}</small>
+        </button>
+    `).join('');
+}
+
+// --- Donors view ---
+
+async function renderDonors(reload = true) {
+    const tbody = document.getElementById('donorsTableBody');
+    if (!tbody) return;
+    if (reload) await loadDonors();
+
+    const term = (document.getElementById('donorSearch')?.value || '').trim().toLowerCase();
+    const donors = term ? donorsCache.filter(donor => donorMatches(donor, term)) : donorsCache;
+    const canManage = hasPermission('canManageDonors');
+
+    if (donors.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-message">No donors found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = donors.map(donor => `
+        <tr>
+            <td>
+                ${escapeHtml(donorDisplayName(donor))}
+                ${donor.nameHindi && donor.nameEnglish ? `<br><small style="opacity: 0.7;">${escapeHtml(donor.nameEnglish)}</small>` : ''}
+            </td>
+            <td>${escapeHtml(donor.categoryId?.name || '-')}</td>
+            <td>${escapeHtml(donor.phone || '-')}</td>
+            <td>${escapeHtml([donor.family, donor.gotra].filter(Boolean).join(' / ') || '-')}</td>
+            <td>${formatCurrency(donor.totals.total)} <small style="opacity: 0.7;">(${donor.totals.count})</small></td>
+            <td class="actions">
+                <button class="btn btn-sm btn-outline" onclick="showDonorProfile('${donor._id}')" title="Profile">👤</button>
+                ${canManage ? `<button class="btn btn-sm btn-outline" onclick="openDonorModal('${donor._id}')" title="Edit">✏️</button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function filterDonors() {
+    renderDonors(false);
+}
+
+function populateDonorCategorySelect() {
+    const select = document.getElementById('donorCategory');
+    const sortedCategories = [...categoriesCache].sort((a, b) => a.order - b.order);
+    select.innerHTML = '<option value="">No category</option>' +
+        sortedCategories.map(cat => `<option value="${cat._id}">${cat.name}</option>`).join('');
+}
+
+function openDonorModal(id) {
+    const donor = id ? donorsCache.find(d => d._id === id) : null;
+    document.getElementById('donorForm').reset();
+    populateDonorCategorySelect();
+    document.getElementById('donorModalTitle').textContent = donor ? 'Edit Donor' : 'Add Donor';
+    document.getElementById('donorEditId').value = donor?._id || '';
+    if (donor) {
+        document.getElementById('donorNameHindi').value = donor.nameHindi || '';
+        document.getElementById('donorNameEnglish').value = donor.nameEnglish || '';
+        document.getElementById('donorPhone').value = donor.phone || '';
+        document.getElementById('donorPan').value = donor.pan || '';
+        document.getElementById('donorAddress').value = donor.address || '';
+        document.getElementById('donorFamily').value = donor.family || '';
+        document.getElementById('donorGotra').value = donor.gotra || '';
+        document.getElementById('donorCategory').value = donor.categoryId?._id || '';
+        document.getElementById('donorNotes').value = donor.notes || '';
+    }
+    openModal('donorModal');
+}
+
+async function handleDonorSubmit(e) {
+    e.preventDefault();
+
+    const id = document.getElementById('donorEditId').value;
+    const donorData = {
+        nameHindi: document.getElementById('donorNameHindi').value.trim(),
+        nameEnglish: document.getElementById('donorNameEnglish').value.trim(),
+        phone: document.getElementById('donorPhone').value.trim(),
+        pan: document.getElementById('donorPan').value.trim().toUpperCase(),
+        address: document.getElementById('donorAddress').value.trim(),
+        family: document.getElementById('donorFamily').value.trim(),
+        gotra: document.getElementById('donorGotra').value.trim(),
+        categoryId: document.getElementById('donorCategory').value,
+        notes: document.getElementById('donorNotes').value.trim()
+    };
+
+    if (!donorData.nameHindi && !donorData.nameEnglish) {
+        showToast('Enter the donor name in Hindi or English', 'error');
+        return;
+    }
+    if (!isValidPan(donorData.pan)) {
+        showToast('Invalid PAN, expected the format ABCDE1234F', 'error');
+        return;
+    }
+
+    try {
+        if (id) {
+            await apiPut(`/api/donors/${id}`, donorData);
+            showToast('Donor updated', 'success');
+        } else {
+            await apiPost('/api/donors', donorData);
+            showToast('Donor added', 'success');
+        }
+        closeModal('donorModal');
+        await renderDonors();
+    } catch (error) {
+        showToast(error.message || 'Error saving donor', 'error');
+    }
+}
+
+async function showDonorProfile(id) {
+    const body = document.getElementById('donorProfileBody');
+    body.innerHTML = '<div class="empty-message">Loading...</div>';
+    openModal('donorProfileModal');
+
+    try {
+        const { donor, donations, mergedDonors, pledges, totals } = await apiGet(`/api/donors/${id}`);
+        const details = [
+            ['English name', donor.nameEnglish],
+            ['Category', donor.categoryId?.name],
+            ['Phone', donor.phone],
+            ['PAN', donor.pan],
+            ['Address', donor.address],
+            ['Family', donor.family],
+            ['Gotra', donor.gotra],
+            ['Notes', donor.notes]
+        ].filter(([, value]) => value);
+
+        body.innerHTML = `
+            <h3 style="margin-bottom: 0.5rem;">🙏 ${escapeHtml(donorDisplayName(donor))}</h3>
+            ${details.map(([label, value]) => `<div><small style="opacity: 0.7;">${label}:</small> ${escapeHtml(value)}</div>`).join('')}
+            ${mergedDonors.length ? `<div><small style="opacity: 0.7;">Merged from:</small> ${escapeHtml(mergedDonors.map(donorDisplayName).join(', '))}</div>` : ''}
+
+            <div style="display: flex; gap: 1rem; flex-wrap: wrap; margin: 1rem 0;">
+                <div class="stat-card glass-card" style="flex: 1; padding: 0.75rem;">
+                    <div style="opacity: 0.7;">Lifetime Total</div>
+                    <strong style="font-size: 1.4rem;">${formatCurrency(totals.total)}</strong>
+                </div>
+                <div class="stat-card glass-card" style="flex: 1; padding: 0.75rem;">
+                    <div style="opacity: 0.7;">Donations</div>
+                    <strong style="font-size: 1.4rem;">${totals.count}</strong>
+                </div>
+                <div class="stat-card glass-card" style="flex: 1; padding: 0.75rem;">
+                    <div style="opacity: 0.7;">First / Latest</div>
+                    <strong>${totals.firstDate ? `${formatDate(totals.firstDate)} – ${formatDate(totals.lastDate)}` : '-'}</strong>
+                </div>
+            </div>
+
+            <div style="margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <strong>🙏 Pledges</strong>
+                    ${hasPermission('canManageDonors') ? `<button class="btn btn-sm btn-outline" onclick="openPledgeModal('${donor._id}')">+ Add Pledge</button>` : ''}
+                </div>
+                ${pledges.map(pledge => `
+                    <div style="margin-top: 0.25rem;">
+                        ${formatCurrency(pledge.amount)} pledged · ${formatCurrency(pledge.paid)} paid in ${pledge.instalments} instalment(s) ·
+                        <strong>${formatCurrency(pledge.outstanding)} outstanding</strong>
+                        ${pledge.dueDate ? `· due ${formatDate(pledge.dueDate)}` : ''}
+                        <span style="color: ${PLEDGE_STATUS[pledge.status].color};">${PLEDGE_STATUS[pledge.status].label}</span>
+                        ${hasPermission('canManageDonors') && pledge.status !== 'cancelled' ? `<button class="btn btn-sm btn-outline" onclick="openPledgeModal('${donor._id}', '${pledge._id}')">✏️</button>` : ''}
+                    </div>
+                `).join('') || '<small style="opacity: 0.7;">No pledges</small>'}
+            </div>
+
+            ${totals.byCategory.length > 1 ? `
+                <div style="margin-bottom: 1rem;">
+                    ${totals.byCategory.map(row => `<div>📍 ${escapeHtml(row.category)}: ${formatCurrency(row.total)} (${row.count})</div>`).join('')}
+                </div>
+            ` : ''}
+
+            <div class="admin-table-container">
+                <table class="admin-table">
+                    <thead>
+                        <tr><th>Date</th><th>Name on Entry</th><th>Amount</th><th>Category</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${donations.map(donation => `
+                            <tr>
+                                <td>${formatDate(donation.date)}</td>
+                                <td>${escapeHtml(donation.donorName)}</td>
+                                <td>${donationValueLabel(donation)}</td>
+                                <td>${escapeHtml(donation.categoryId?.name || '-')}</td>
+                                <td>${SUBMISSION_STATUS[donation.status]?.label || donation.status}</td>
+                            </tr>
+                        `).join('') || '<tr><td colspan="5" class="empty-message">No donations yet</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        body.innerHTML = `<div class="empty-message">${error.message}</div>`;
+    }
+}
+
+// --- Duplicate finder & merge ---
+
+async function findDuplicateDonors() {
+    const container = document.getElementById('donorDuplicatesList');
+    if (!container) return;
+    container.innerHTML = '<div class="empty-message">Searching...</div>';
+
+    try {
+        duplicateGroups = await apiGet('/api/donors/duplicates');
+    } catch (error) {
+        container.innerHTML = `<div class="empty-message">${error.message}</div>`;
+        return;
+    }
+
+    if (duplicateGroups.length === 0) {
+        container.innerHTML = '<div class="empty-message">No likely duplicates found 🎉</div>';
+        return;
+    }
+
+    container.innerHTML = duplicateGroups.map((group, index) => {
+        // Keep the donor with the most donations by default
+        const keepId = [...group.donors].sort((a, b) => b.totals.count - a.totals.count)[0]._id;
+        return `
+            <div class="glass-card" style="padding: 1rem; margin-bottom: 1rem;">
+                <div style="display: flex; justify-content: space-between; gap: 0.5rem; flex-wrap: wrap; margin-bottom: 0.5rem;">
+                    <strong>${escapeHtml(group.reasons.join(', '))}</strong>
+                    <button class="btn btn-sm btn-primary" onclick="mergeDuplicateGroup(${index})">🔀 Merge Selected</button>
+                </div>
+                <table class="admin-table">
+                    <thead>
+                        <tr><th>Keep</th><th>Merge</th><th>Name</th><th>Category</th><th>Phone</th><th>Total</th></tr>
+                    </thead>
+                    <tbody>
+                        ${group.donors.map(donor => `
+                            <tr>
+                                <td><input type="radio" name="keepDonor${index}" value="${donor._id}" ${donor._id === keepId ? 'checked' : ''}></td>
+                                <td><input type="checkbox" class="merge-donor-${index}" value="${donor._id}" checked></td>
+                                <td>
+                                    <a href="#" onclick="showDonorProfile('${donor._id}'); return false;">${escapeHtml(donorDisplayName(donor))}</a>
+                                    ${donor.nameHindi && donor.nameEnglish ? `<br><small style="opacity: 0.7;">${escapeHtml(donor.nameEnglish)}</small>` : ''}
+                                </td>
+                                <td>${escapeHtml(donor.categoryId?.name || '-')}</td>
+                                <td>${escapeHtml(donor.phone || '-')}</td>
+                                <td>${formatCurrency(donor.totals.total)} (${donor.totals.count})</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }).join('');
+}
+
+async function mergeDuplicateGroup(index) {
+    const targetId = document.querySelector(`input[name="keepDonor${index}"]:checked`)?.value;
+    const sourceIds = [...document.querySelectorAll(`.merge-donor-${index}:checked`)]
+        .map(box => box.value)
+        .filter(id => id !== targetId);
+
+    if (!targetId || sourceIds.length === 0) {
+        showToast('Choose the donor to keep and at least one other donor to merge', 'warning');
+        return;
+    }
+
+    const group = duplicateGroups[index];
+    const target = group.donors.find(d => d._id === targetId);
+    const names = group.donors.filter(d => sourceIds.includes(d._id)).map(donorDisplayName).join(', ');
+    if (!confirm(`Merge ${names} into ${donorDisplayName(target)}? Their donations will move to ${donorDisplayName(target)}.`)) return;
+
+    try {
+        const result = await apiPost('/api/donors/merge', { targetId, sourceIds });
+        showToast(`Merged. ${result.moved} donation(s) moved.`, 'success');
+        await loadAllData();
+        renderPublicView();
+        await renderDonors();
+        await findDuplicateDonors();
+    } catch (error) {
+        showToast(error.message || 'Error merging donors', 'error');
+    }
+}
+
+// ==================== PLEDGES ====================
+
+let pledgesCache = []; // Open pledges, for the donation form
+let pledgeSummary = new Map(); // donorId -> { promised, paid, outstanding } for the public cards
+
+const PLEDGE_STATUS = {
+    open: { label: '🟡 Open', color: 'var(--warning)' },
+    overdue: { label: '🔴 Overdue', color: 'var(--error)' },
+    fulfilled: { label: '✅ Fulfilled', color: 'var(--success)' },
+    cancelled: { label: '🚫 Cancelled', color: 'var(--text-muted)' }
+};
+
+async function loadPledges() {
+    if (!canLookUpDonors()) return;
+    try {
+        pledgesCache = await apiGet('/api/pledges');
+    } catch (error) {
+        console.error('Error loading pledges:', error);
+    }
+}
+
+function pledgeLabel(pledge) {
+    return `${formatCurrency(pledge.amount)} pledged, ${formatCurrency(pledge.outstanding)} due` +
+        (pledge.dueDate ? ` by ${formatDate(pledge.dueDate)}` : '');
+}
+
+// Open pledges of the linked donor; choosing one applies the donation as an instalment
+function populateDonationPledgeSelect(selectedId = '') {
+    const select = document.getElementById('donationPledgeId');
+    if (!select) return;
+    const donorId = document.getElementById('donationDonorId').value;
+    const pledges = pledgesCache.filter(p => (p.donorId?._id || p.donorId) === donorId);
+
+    select.innerHTML = '<option value="">Not against a pledge</option>' +
+        pledges.map(p => `<option value="${p._id}">${pledgeLabel(p)}</option>`).join('');
+    if (selectedId && !pledges.some(p => p._id === selectedId)) {
+        select.innerHTML += `<option value="${selectedId}">Current pledge (fulfilled)</option>`;
+    }
+    select.value = selectedId || '';
+    document.getElementById('donationPledgeGroup').style.display = pledges.length || selectedId ? 'block' : 'none';
+}
+
+// Pledges due report: outstanding pledges, the most overdue first
+async function renderPledgesDue() {
+    const tbody = document.getElementById('pledgesTableBody');
+    const totals = document.getElementById('pledgeDueTotals');
+    if (!tbody) return;
+
+    try {
+        const { pledges, totals: sums } = await apiGet('/api/pledges/due');
+        totals.innerHTML = `
+            <span>Outstanding: <strong>${formatCurrency(sums.outstanding)}</strong></span>
+            <span style="color: var(--error);">Overdue: <strong>${formatCurrency(sums.overdue)}</strong></span>
+        `;
+        tbody.innerHTML = pledges.map(pledge => `
+            <tr>
+                <td>
+                    <a href="#" onclick="showDonorProfile('${pledge.donorId._id}'); return false;">${escapeHtml(donorDisplayName(pledge.donorId))}</a>
+                    ${pledge.donorId.phone ? `<br><small>📞 ${escapeHtml(pledge.donorId.phone)}</small>` : ''}
+                </td>
+                <td>${escapeHtml(pledge.categoryId?.name || '-')}</td>
+                <td>${formatCurrency(pledge.amount)}</td>
+                <td>${formatCurrency(pledge.paid)} <small>(${pledge.instalments})</small></td>
+                <td><strong>${formatCurrency(pledge.outstanding)}</strong></td>
+                <td>${pledge.dueDate ? formatDate(pledge.dueDate) : '-'}</td>
+                <td style="color: ${PLEDGE_STATUS[pledge.status].color};">${PLEDGE_STATUS[pledge.status].label}</td>
+                <td class="actions">
+                    <button class="btn btn-sm btn-outline" onclick="openPledgeModal('${pledge.donorId._id}', '${pledge._id}')">✏️</button>
+                    <button class="btn btn-sm btn-danger" onclick="cancelPledge('${pledge._id}')" title="Cancel pledge">🚫</button>
+                </td>
+            </tr>
+        `).join('') || '<tr><td colspan="8" class="empty-message">No pledges due 🙏</td></tr>';
+    } catch (error) {
+        tbody.innerHTML = `<tr><td colspan="8" class="empty-message">${error.message}</td></tr>`;
+    }
+}
+
+async function openPledgeModal(donorId, pledgeId) {
+    document.getElementById('pledgeForm').reset();
+    populatePledgeCategorySelect();
+
+    let pledge = null;
+    if (pledgeId) {
+        try {
+            const pledges = await apiGet(`/api/pledges?donorId=${donorId}&all=true`);
+            pledge = pledges.find(p => p._id === pledgeId);
+        } catch (error) {
+            showToast('Error loading pledge', 'error');
+            return;
+        }
+    }
+    const donor = donorsCache.find(d => d._id === donorId);
+
+    document.getElementById('pledgeModalTitle').textContent = pledge ? 'Edit Pledge' : 'Add Pledge';
+    document.getElementById('pledgeEditId').value = pledge?._id || '';
+    document.getElementById('pledgeDonorId').value = donorId;
+    document.getElementById('pledgeDonorName').textContent = donor ? donorDisplayName(donor) : '';
+    if (pledge) {
+        document.getElementById('pledgeAmount').value = pledge.amount;
+        document.getElementById('pledgeDueDate').value = pledge.dueDate ? pledge.dueDate.split('T')[0] : '';
+        document.getElementById('pledgeCategory').value = pledge.categoryId?._id || pledge.categoryId || '';
+        document.getElementById('pledgeNotes').value = pledge.notes || '';
+    }
+    openModal('pledgeModal');
+}
+
+function populatePledgeCategorySelect() {
+    const select = document.getElementById('pledgeCategory');
+    const sortedCategories = [...categoriesCache].sort((a, b) => a.order - b.order);
+    select.innerHTML = '<option value="">Donor\'s category</option>' +
+        sortedCategories.map(cat => `<option value="${cat._id}">${cat.name}</option>`).join('');
+}
+
+async function handlePledgeSubmit(e) {
+    e.preventDefault();
+
+    const id = document.getElementById('pledgeEditId').value;
+    const donorId = document.getElementById('pledgeDonorId').value;
+    const pledgeData = {
+        donorId,
+        amount: parseInt(document.getElementById('pledgeAmount').value),
+        dueDate: document.getElementById('pledgeDueDate').value || null,
+        categoryId: document.getElementById('pledgeCategory').value,
+        notes: document.getElementById('pledgeNotes').value.trim()
+    };
+
+    if (!pledgeData.amount || pledgeData.amount < 1) {
+        showToast('Enter the pledged amount', 'error');
+        return;
+    }
+
+    try {
+        if (id) {
+            await apiPut(`/api/pledges/${id}`, pledgeData);
+            showToast('Pledge updated', 'success');
+        } else {
+            await apiPost('/api/pledges', pledgeData);
+            showToast('Pledge added', 'success');
+        }
+        closeModal('pledgeModal');
+        await refreshPledges();
+        if (document.getElementById('donorProfileModal').classList.contains('active')) showDonorProfile(donorId);
+    } catch (error) {
+        showToast(error.message || 'Error saving pledge', 'error');
+    }
+}
+
+async function cancelPledge(id) {
+    const reason = prompt('Cancel this pledge? Donations already paid stay recorded. Reason (optional):');
+    if (reason === null) return;
+
+    try {
+        await apiDelete(`/api/pledges/${id}`, { reason });
+        showToast('Pledge cancelled', 'success');
+        await refreshPledges();
+    } catch (error) {
+        showToast(error.message || 'Error cancelling pledge', 'error');
+    }
+}
+
+async function refreshPledges() {
+    await Promise.all([loadPledges(), loadPledgeSummary()]);
+    renderPledgesDue();
+    renderPublicView();
+}
+
+async function loadPledgeSummary() {
+    try {
+        const summary = await apiGet('/api/public/pledges');
+        pledgeSummary = new Map(summary.map(row => [row.donorId, row]));
+    } catch (error) {
+        console.error('Error loading pledges:', error);
+    }
+}
+
+// ==================== SEARCH & FILTER EVENT LISTENERS ====================
+
+// Search input - real-time filtering
+document.getElementById('searchInput')?.addEventListener('input', (e) => {
+    const searchTerm = e.target.value;
+    const categoryFilter = document.getElementById('categoryFilter')?.value || '';
+    const statusFilter = document.getElementById('paymentStatusFilter')?.value || '';
+    renderPublicView(searchTerm, categoryFilter, statusFilter);
+});
+
+// Category filter
+document.getElementById('categoryFilter')?.addEventListener('change', (e) => {
     const searchTerm = document.getElementById('searchInput')?.value || '';
     const categoryFilter = e.target.value;
     const statusFilter = document.getElementById('paymentStatusFilter')?.value || '';
@@ -1655,6 +3702,24 @@ function openLoginModal() {
 window.downloadPDF = downloadPDF;
 window.approveDonation = approveDonation;
 window.renderPendingApprovals = renderPendingApprovals;
+window.reviewDonation = reviewDonation;
+window.toggleAllApprovals = toggleAllApprovals;
+window.bulkReviewDonations = bulkReviewDonations;
+window.renderMySubmissions = renderMySubmissions;
+window.openResubmitModal = openResubmitModal;
+window.renderProposals = renderProposals;
+window.reviewProposal = reviewProposal;
+window.setDonationDonor = setDonationDonor;
+window.suggestDonors = suggestDonors;
+window.renderDonors = renderDonors;
+window.filterDonors = filterDonors;
+window.openDonorModal = openDonorModal;
+window.showDonorProfile = showDonorProfile;
+window.findDuplicateDonors = findDuplicateDonors;
+window.mergeDuplicateGroup = mergeDuplicateGroup;
+window.renderPledgesDue = renderPledgesDue;
+window.openPledgeModal = openPledgeModal;
+window.cancelPledge = cancelPledge;
 
 // ==================== COMMUNITY FEATURE ====================
 
@@ -1663,7 +3728,7 @@ let communityEnabled = false;
 // Load community posts
 async function loadCommunityPosts() {
     try {
-        const posts = await apiGet('/api/community');
+        const posts = await apiGet('/api/public/community');
         renderCommunityPosts(posts);
     } catch (error) {
         console.error('Error loading community posts:', error);
@@ -1912,6 +3977,61 @@ window.toggleShowDates = async function () {
     }
 };
 
+// Days apart two otherwise identical donations are still flagged as duplicates
+window.saveDuplicateWindow = async function () {
+    const days = parseInt(document.getElementById('duplicateWindowInput').value, 10);
+    if (isNaN(days) || days < 0 || days > 365) {
+        showToast('Enter a number of days between 0 and 365', 'error');
+        return;
+    }
+
+    try {
+        settingsCache = await apiPut('/api/settings', { duplicateWindowDays: days });
+        showToast('Duplicate check window saved', 'success');
+    } catch (error) {
+        showToast('Failed to update setting', 'error');
+    }
+};
+
+// Temple name and address printed at the top of receipts
+window.saveReceiptHeader = async function () {
+    const updates = {};
+    ['templeName', 'templeNameEnglish', 'templeAddress'].forEach(field => {
+        updates[field] = document.getElementById(`${field}Input`).value.trim();
+    });
+    if (!updates.templeName && !updates.templeNameEnglish) {
+        showToast('Enter the temple name', 'error');
+        return;
+    }
+
+    try {
+        settingsCache = await apiPut('/api/settings', updates);
+        showToast('Receipt header saved', 'success');
+    } catch (error) {
+        showToast('Failed to update setting', 'error');
+    }
+};
+
+// Trust PAN and 80G registration printed on 80G receipts and in Form 10BD
+window.save80GRegistration = async function () {
+    const updates = {
+        trustPan: document.getElementById('trustPanInput').value.trim().toUpperCase(),
+        registration80G: document.getElementById('registration80GInput').value.trim(),
+        registration80GDate: document.getElementById('registration80GDateInput').value || null
+    };
+    if (!isValidPan(updates.trustPan)) {
+        showToast('Invalid PAN, expected the format ABCDE1234F', 'error');
+        return;
+    }
+
+    try {
+        settingsCache = await apiPut('/api/settings', updates);
+        showToast('80G registration saved', 'success');
+    } catch (error) {
+        showToast(error.message || 'Failed to update setting', 'error');
+    }
+};
+
 // Load admin community posts (with IP logs)
 async function loadAdminCommunityPosts() {
     try {
@@ -8,11 +8,64 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Session tokens are signed with SESSION_SECRET. Without it a random secret is
+// generated, which means every restart logs everyone out.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET not set, using a temporary secret');
+}
+
+// Key used to encrypt stored TOTP secrets. Must stay stable across restarts.
+const TOTP_ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Temple Donation Tracker';
+
+// Key for the verification tokens in receipt QR codes. Must stay stable, or
+// QR codes on receipts printed earlier stop verifying, so it is required.
+const RECEIPT_SECRET = process.env.RECEIPT_SECRET || process.env.SESSION_SECRET;
+if (!RECEIPT_SECRET) {
+    console.error('❌ Set RECEIPT_SECRET (or SESSION_SECRET), receipt QR codes are signed with it');
+    process.exit(1);
+}
+// Base URL printed in receipt QR codes (defaults to the address of the request)
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Key for the activity log hash chain. It is never stored in the database, so
+// someone who can edit the database can't recompute hashes after changing an entry.
+// A temporary key would break the whole chain at the next restart, so it is required.
+const LOG_CHAIN_SECRET = process.env.LOG_CHAIN_SECRET || process.env.SESSION_SECRET;
+if (!LOG_CHAIN_SECRET) {
+    console.error('❌ Set LOG_CHAIN_SECRET (or SESSION_SECRET), the activity log is hash-chained with it');
+    process.exit(1);
+}
+
+// Login protection (failed attempts before lockout, lockout length)
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Login challenges one IP may request per minute, and how many may be open at once
+const LOGIN_CHALLENGES_PER_MINUTE = parseInt(process.env.LOGIN_CHALLENGES_PER_MINUTE) || 30;
+const LOGIN_CHALLENGES_MAX_OPEN = parseInt(process.env.LOGIN_CHALLENGES_MAX_OPEN) || 10000;
+
+// Password policy for every account (the blocklist file has one password per line)
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+const PASSWORD_REQUIRE_MIX = process.env.PASSWORD_REQUIRE_MIX === 'true'; // Letters and digits
+const PASSWORD_BLOCKLIST_FILE = process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, 'common-passwords.txt');
+
+// Behind a reverse proxy (Render, Nginx) req.ip is the proxy unless this is set
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -20,9 +73,14 @@ app.use(express.static(path.join(__dirname)));
 
 // ==================== MONGODB CONNECTION ====================
 
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/temple_donations')
-    .then(() => console.log('✅ Connected to MongoDB'))
-    .catch(err => console.error('❌ MongoDB connection error:', err));
+// Only when started with `node server.js`; the tests require() this file and connect themselves
+const isMainModule = require.main === module;
+
+if (isMainModule) {
+    mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/temple_donations')
+        .then(() => console.log('✅ Connected to MongoDB'))
+        .catch(err => console.error('❌ MongoDB connection error:', err));
+}
 
 // ==================== SCHEMAS ====================
 
@@ -30,21 +88,235 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/temple_do
 const categorySchema = new mongoose.Schema({
     name: { type: String, required: true },
     order: { type: Number, default: 0 },
-    createdAt: { type: Date, default: Date.now }
+    createdAt: { type: Date, default: Date.now },
+    // Soft delete (trash): set by DELETE, cleared on restore
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, default: null },
+    deleteReason: { type: String, default: '' }
 });
 
+// A sub-admin's edit or deletion of an approved donation, waiting for review
+const proposedChangeSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['edit', 'delete'], required: true },
+    fields: { type: mongoose.Schema.Types.Mixed, default: null }, // Proposed values (edit only)
+    reason: { type: String, default: '' },
+    proposedBy: { type: String, required: true },
+    proposedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// PAN (Permanent Account Number): 5 letters, 4 digits, 1 letter. Empty means not given.
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const PAN_MESSAGE = 'Invalid PAN, expected the format ABCDE1234F';
+
+function isValidPan(value) {
+    return !value || PAN_PATTERN.test(value);
+}
+
+const PAYMENT_MODES = ['cash', 'upi', 'bank_transfer', 'cheque', 'in_kind'];
+const CHEQUE_STATUSES = ['pending', 'cleared', 'bounced'];
+// How a donation appears publicly: name and amount, name only, or fully anonymous ("Gupt Daan")
+const DONATION_PRIVACY = ['public', 'name_only', 'anonymous'];
+const ANONYMOUS_DONOR_NAME = 'गुप्त दान';
+
 // Donation Schema
 const donationSchema = new mongoose.Schema({
     donorName: { type: String, required: true },
     amount: { type: Number, required: false, default: 0 },
     date: { type: Date, required: false, default: Date.now },
     categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+    donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', default: null }, // Set on save, see resolveDonorId
+    notes: { type: String, default: '' },
+    // For 80G receipts; the donor profile's PAN and address are used when empty
+    pan: { type: String, default: '', uppercase: true, trim: true, validate: { validator: isValidPan, message: PAN_MESSAGE } },
+    donorAddress: { type: String, default: '', trim: true },
+    paymentMode: { type: String, enum: PAYMENT_MODES, default: 'cash' },
+    paymentReference: { type: String, default: '', trim: true }, // UPI transaction ID, bank reference or cheque number
+    chequeStatus: { type: String, enum: ['', ...CHEQUE_STATUSES], default: '' }, // Only for cheques
+    collectedBy: { type: String, default: '', trim: true }, // Who received the money, defaults to submittedBy
+    pledgeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Pledge', default: null }, // Instalment of this pledge
+    // In-kind donations (paymentMode 'in_kind'): amount stays 0, the goods are described here.
+    // Name and unit are copied from the catalogue so later catalogue edits don't change old entries.
+    materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Material', default: null },
+    itemName: { type: String, default: '', trim: true },
+    itemUnit: { type: String, default: '', trim: true },
+    quantity: { type: Number, default: null, min: 0 },
+    estimatedValue: { type: Number, default: null, min: 0 }, // Rupees, optional
+    privacy: { type: String, enum: DONATION_PRIVACY, default: 'public' }, // Admins always see everything
+    notesPublic: { type: Boolean, default: false }, // Notes are internal unless flagged
+    status: { type: String, enum: ['approved', 'pending', 'rejected', 'changes_requested'], default: 'approved' },
+    submittedBy: { type: String, default: '' }, // Username of whoever entered it
+    // Set when a pending donation is approved, rejected or sent back for changes
+    reviewReason: { type: String, default: '' },
+    reviewedBy: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    proposedChange: { type: proposedChangeSchema, default: null },
+    // Issued once, when the donation is first approved; never changed or reused
+    receiptNumber: { type: String, default: null }, // e.g. '2026-27/000123'
+    receiptYear: { type: String, default: null },
+    receiptSeq: { type: Number, default: null },
+    receiptIssuedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    // Soft delete (trash): set by DELETE, cleared on restore
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, default: null },
+    deleteReason: { type: String, default: '' }
+});
+
+donationSchema.pre('validate', function (next) {
+    if (this.paymentMode === 'cheque') {
+        if (!this.paymentReference) this.invalidate('paymentReference', 'Enter the cheque number');
+        if (!this.chequeStatus) this.chequeStatus = 'pending';
+    } else {
+        this.chequeStatus = '';
+    }
+    next();
+});
+donationSchema.pre('validate', async function () {
+    if (this.paymentMode !== 'in_kind') {
+        Object.assign(this, { materialId: null, itemName: '', itemUnit: '', quantity: null, estimatedValue: null });
+        return;
+    }
+
+    if (this.materialId && this.isModified('materialId')) {
+        const material = await Material.findById(this.materialId);
+        if (!material) return this.invalidate('materialId', 'Material not found');
+        this.itemName = material.name;
+        this.itemUnit = material.unit;
+    }
+    this.amount = 0;
+    if (!this.itemName) this.invalidate('itemName', 'Choose the material donated');
+    if (!(this.quantity > 0)) this.invalidate('quantity', 'Enter the quantity donated');
+});
+donationSchema.index({ receiptNumber: 1 }, { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } });
+donationSchema.index({ receiptYear: 1, receiptSeq: -1 });
+
+// Pledge Schema (amount a donor promised; donations with its pledgeId are the instalments)
+const pledgeSchema = new mongoose.Schema({
+    donorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', required: true },
+    amount: { type: Number, required: true, min: 1 },
+    dueDate: { type: Date, default: null },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    notes: { type: String, default: '' },
+    createdBy: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: String, default: null },
+    cancelReason: { type: String, default: '' }
+});
+pledgeSchema.index({ donorId: 1 });
+
+// Material Schema (catalogue of goods accepted as in-kind donations)
+const materialSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true }, // e.g. 'Cement'
+    nameHindi: { type: String, default: '', trim: true }, // e.g. 'सीमेंट'
+    unit: { type: String, required: true, trim: true }, // e.g. 'bags', 'tractor loads', 'labour days'
+    rate: { type: Number, default: null, min: 0 }, // Suggested rupees per unit for the estimated value
+    active: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Last receipt number issued per financial year ({ _id: '2026-27', lastSeq }).
+// pending is the donation lastSeq is being written to; no other number is taken until it's done.
+const receiptCounterSchema = new mongoose.Schema({
+    _id: { type: String },
+    lastSeq: { type: Number, default: 0 },
+    pending: { type: mongoose.Schema.Types.ObjectId, default: null }
+});
+
+// Donor Schema (one profile per person, donations link to it by donorId)
+const donorSchema = new mongoose.Schema({
+    nameHindi: { type: String, default: '', trim: true },
+    nameEnglish: { type: String, default: '', trim: true },
+    phone: { type: String, default: '', trim: true },
+    pan: { type: String, default: '', uppercase: true, trim: true, validate: { validator: isValidPan, message: PAN_MESSAGE } },
+    address: { type: String, default: '' },
+    family: { type: String, default: '' },
+    gotra: { type: String, default: '' },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // Home tola
     notes: { type: String, default: '' },
-    status: { type: String, enum: ['approved', 'pending'], default: 'approved' },
+    nameKeys: [{ type: String }], // Normalized names for matching, kept in sync on validate
+    // Set when merged into another donor; the profile is kept so old links still resolve
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', default: null },
+    mergedAt: { type: Date, default: null },
+    mergedBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+donorSchema.index({ nameKeys: 1 });
+donorSchema.pre('validate', function (next) {
+    if (!this.nameHindi && !this.nameEnglish) {
+        this.invalidate('nameEnglish', 'Enter the donor name in Hindi or English');
+    }
+    this.nameKeys = [...new Set([this.nameHindi, this.nameEnglish].map(normalizeDonorName).filter(Boolean))];
+    next();
+});
+
+// Donation Revision Schema (read-only snapshot after every change to a donation)
+const donationRevisionSchema = new mongoose.Schema({
+    donationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Donation', required: true, immutable: true },
+    revision: { type: Number, required: true, immutable: true }, // 1, 2, 3... per donation
+    action: { type: String, required: true, immutable: true }, // create, edit, approve, delete, restore, revert, baseline
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true }, // Fields after the change
+    note: { type: String, default: '', immutable: true },
+    user: { type: String, required: true, immutable: true },
+    userType: { type: String, required: true, immutable: true },
+    timestamp: { type: Date, default: Date.now, immutable: true }
+});
+donationRevisionSchema.index({ donationId: 1, revision: 1 }, { unique: true });
+// Revisions are never changed or removed once written
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+    .forEach(operation => {
+        donationRevisionSchema.pre(operation, function () {
+            throw new Error('Donation revisions are read-only');
+        });
+    });
+
+// Two-Factor (TOTP) sub-document, shared by the admin settings and sub-admins
+const twoFactorSchema = new mongoose.Schema({
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: '' }, // Encrypted base32 secret
+    pendingSecret: { type: String, default: '' }, // Encrypted, until first code is confirmed
+    recoveryCodes: [{ type: String }], // bcrypt hashes, removed once used
+    lastUsedStep: { type: Number, default: 0 } // Rejects replay of the same code
+}, { _id: false });
+
+// Staff roles. Collectors are limited by their own permission flags (the old
+// sub-admin model); every other role gets a fixed set of permissions.
+const ROLES = ['owner', 'treasurer', 'collector', 'auditor', 'moderator'];
+const COLLECTOR_PERMISSIONS = ['canAddDonation', 'canEditDonation', 'canDeleteDonation', 'canManageCategory'];
+const ALL_PERMISSIONS = [
+    ...COLLECTOR_PERMISSIONS,
+    'canApproveDonation', 'canViewLogs', 'canExportData',
+    'canModerateCommunity', 'canManageUsers', 'canManageSettings', 'canManageTrash', 'canManageDonors'
+];
+const ROLE_PERMISSIONS = {
+    owner: ALL_PERMISSIONS,
+    treasurer: [...COLLECTOR_PERMISSIONS, 'canApproveDonation', 'canViewLogs', 'canExportData', 'canManageDonors'],
+    collector: [],
+    auditor: ['canViewLogs', 'canExportData'],
+    moderator: ['canModerateCommunity']
+};
+
+// User Schema (every staff account, including the owner)
+const userSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true },
+    password: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: 'collector' },
+    permissions: { // Only used by the collector role
+        canAddDonation: { type: Boolean, default: true },
+        canEditDonation: { type: Boolean, default: false },
+        canDeleteDonation: { type: Boolean, default: false },
+        canManageCategory: { type: Boolean, default: false },
+        assignedCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }]
+    },
+    requireTwoFactor: { type: Boolean, default: false }, // Set by the owner
+    twoFactor: { type: twoFactorSchema, default: () => ({}) },
+    passwordRecoveryCodes: [{ type: String }], // Owners only: bcrypt hashes, removed once used
+    mustChangePassword: { type: Boolean, default: false }, // Set for new accounts and reset passwords
+    legacySubAdminId: { type: mongoose.Schema.Types.ObjectId }, // Set when migrated from SubAdmin
     createdAt: { type: Date, default: Date.now }
 });
 
-// SubAdmin Schema
+// SubAdmin Schema (legacy, migrated to User on startup and no longer written)
 const subAdminSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
     password: { type: String, required: true },
@@ -55,31 +327,60 @@ const subAdminSchema = new mongoose.Schema({
         canManageCategory: { type: Boolean, default: false },
         assignedCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }]
     },
+    requireTwoFactor: { type: Boolean, default: false }, // Set by the admin
+    twoFactor: { type: twoFactorSchema, default: () => ({}) },
     createdAt: { type: Date, default: Date.now }
 });
 
 // Settings Schema
 const settingsSchema = new mongoose.Schema({
-    adminPassword: { type: String, required: true },
+    adminPassword: { type: String }, // Legacy, migrated to the owner User
+
     viewMode: { type: String, enum: ['cards', 'list'], default: 'cards' },
     communityEnabled: { type: Boolean, default: false },
     showDates: { type: Boolean, default: true },
     upiEnabled: { type: Boolean, default: false },
     upiId: { type: String, default: '' },
-    upiQrImage: { type: String, default: '' } // Base64 string
+    upiQrImage: { type: String, default: '' }, // Base64 string
+    duplicateWindowDays: { type: Number, default: 3, min: 0, max: 365 }, // Duplicate donation check
+    // Printed on receipts
+    templeName: { type: String, default: 'बद्दीहा हनुमान मंदिर निर्माण समिति' },
+    templeNameEnglish: { type: String, default: 'Baddiha Hanuman Mandir Nirmaan Samiti' },
+    templeAddress: { type: String, default: 'Baddiha, Giridih, Jharkhand' },
+    // Section 80G registration, printed on 80G receipts and in Form 10BD
+    trustPan: { type: String, default: '', uppercase: true, trim: true, validate: { validator: isValidPan, message: PAN_MESSAGE } },
+    registration80G: { type: String, default: '', trim: true }, // Unique Registration Number (URN)
+    registration80GDate: { type: Date, default: null },
+    adminTwoFactor: { type: twoFactorSchema, default: () => ({}) }, // Legacy, migrated to the owner User
+    logChainInitializedAt: { type: Date }, // Set once older log entries have been hash-chained
+    logChainKeyedAt: { type: Date } // Set once the chain was re-hashed with LOG_CHAIN_SECRET
 });
 
-// Activity Log Schema (NON-DELETABLE)
+// Activity Log Schema (NON-DELETABLE, tamper-evident: each entry stores a hash of
+// its contents and of the previous entry, checked by GET /api/logs/verify)
 const activityLogSchema = new mongoose.Schema({
     action: { type: String, required: true }, // LOGIN, ADD, EDIT, DELETE
-    entity: { type: String, required: true }, // DONATION, CATEGORY, SUBADMIN, SETTINGS
+    entity: { type: String, required: true }, // DONATION, CATEGORY, USER, SETTINGS
     entityId: { type: String },
     details: { type: String, required: true },
-    user: { type: String, required: true }, // admin or subadmin username
-    userType: { type: String, enum: ['admin', 'subadmin'], required: true },
+    user: { type: String, required: true }, // Username
+    // Role at the time of the action ('admin'/'subadmin' on entries before roles existed)
+    userType: { type: String, enum: [...ROLES, 'admin', 'subadmin', 'guest', 'system'], required: true },
     ipAddress: { type: String },
-    timestamp: { type: Date, default: Date.now }
+    timestamp: { type: Date, default: Date.now },
+    changes: { type: mongoose.Schema.Types.Mixed }, // EDIT entries: [{ field, old, new }]
+    seq: { type: Number, unique: true, sparse: true }, // Position in the hash chain, from 1
+    prevHash: { type: String },
+    hash: { type: String }
 });
+// Indexes for the log filters (newest first within each filter)
+activityLogSchema.index({ timestamp: -1 });
+activityLogSchema.index({ action: 1, timestamp: -1 });
+activityLogSchema.index({ entity: 1, timestamp: -1 });
+activityLogSchema.index({ user: 1, timestamp: -1 });
+activityLogSchema.index({ userType: 1, timestamp: -1 });
+activityLogSchema.index({ entityId: 1, timestamp: -1 });
+activityLogSchema.index({ ipAddress: 1, timestamp: -1 });
 
 // Community Post Schema
 const postSchema = new mongoose.Schema({
@@ -97,35 +398,629 @@ const postSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now }
 });
 
+// Login Session Schema (one per signed-in device, checked on every authenticated request)
+const sessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    username: { type: String, required: true },
+    userAgent: { type: String, default: '' },
+    ipAddress: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: String, default: null }
+});
+// MongoDB removes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // Models
 const Category = mongoose.model('Category', categorySchema);
 const Donation = mongoose.model('Donation', donationSchema);
+const User = mongoose.model('User', userSchema);
 const SubAdmin = mongoose.model('SubAdmin', subAdminSchema);
 const Settings = mongoose.model('Settings', settingsSchema);
 const ActivityLog = mongoose.model('ActivityLog', activityLogSchema);
 const Post = mongoose.model('Post', postSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const DonationRevision = mongoose.model('DonationRevision', donationRevisionSchema);
+const Donor = mongoose.model('Donor', donorSchema);
+const ReceiptCounter = mongoose.model('ReceiptCounter', receiptCounterSchema);
+const Pledge = mongoose.model('Pledge', pledgeSchema);
+const Material = mongoose.model('Material', materialSchema);
+
+// ==================== ACTIVITY LOG CHAIN ====================
+
+const LOG_GENESIS_HASH = '0'.repeat(64);
+
+// The stored fields in a fixed order, including the previous hash
+function logEntryContent(entry) {
+    return JSON.stringify([
+        entry.seq,
+        entry.prevHash,
+        entry.action,
+        entry.entity,
+        entry.entityId ?? null,
+        entry.details,
+        entry.user,
+        entry.userType,
+        entry.ipAddress ?? null,
+        new Date(entry.timestamp).toISOString(),
+        // Only entries with a diff include it, so entries written before diffs existed keep their hash
+        ...(entry.changes?.length ? [entry.changes] : [])
+    ]);
+}
+
+function hashLogEntry(entry) {
+    return crypto.createHmac('sha256', LOG_CHAIN_SECRET).update(logEntryContent(entry)).digest('hex');
+}
 
-// Log helper function
-async function createLog(req, action, entity, entityId, details) {
+// Hash used before the chain was keyed (see keyLogChain)
+function unkeyedLogHash(entry) {
+    return crypto.createHash('sha256').update(logEntryContent(entry)).digest('hex');
+}
+
+// Log writes run one at a time so every entry links to the one before it
+let logWriteQueue = Promise.resolve();
+
+function enqueueLogWrite(task) {
+    const result = logWriteQueue.then(task);
+    logWriteQueue = result.catch(() => { });
+    return result;
+}
+
+async function lastChainedLog() {
+    return ActivityLog.findOne({ seq: { $ne: null } }).sort({ seq: -1 }).select('seq hash');
+}
+
+function appendLogEntry(fields) {
+    return enqueueLogWrite(async () => {
+        // Another process (e.g. the reset-password command) may take the same seq, retry on that
+        for (let attempt = 1; ; attempt++) {
+            const last = await lastChainedLog();
+            const entry = new ActivityLog({
+                ...fields,
+                seq: (last?.seq || 0) + 1,
+                prevHash: last?.hash || LOG_GENESIS_HASH,
+                timestamp: new Date()
+            });
+            entry.hash = hashLogEntry(entry);
+            try {
+                return await entry.save();
+            } catch (error) {
+                if (error.code !== 11000 || attempt >= 5) throw error;
+            }
+        }
+    });
+}
+
+// Entries written before the chain existed are chained once, oldest first. Unchained
+// entries that show up later were not written by the app and fail verification.
+async function chainLegacyLogs(settings) {
+    if (settings.logChainInitializedAt) return;
+
+    const chained = await enqueueLogWrite(async () => {
+        const legacy = await ActivityLog.find({ hash: null }).sort({ timestamp: 1, _id: 1 }).lean();
+        const last = await lastChainedLog();
+        let seq = last?.seq || 0;
+        let prevHash = last?.hash || LOG_GENESIS_HASH;
+
+        for (const entry of legacy) {
+            const update = { seq: ++seq, prevHash };
+            update.hash = hashLogEntry({ ...entry, ...update });
+            await ActivityLog.updateOne({ _id: entry._id }, { $set: update });
+            prevHash = update.hash;
+        }
+        return legacy.length;
+    });
+
+    settings.logChainInitializedAt = new Date();
+    await settings.save();
+    if (chained > 0) console.log(`✅ ${chained} existing log entries added to the hash chain`);
+}
+
+// Chains written with plain SHA-256 are re-hashed with the secret once. Only the
+// intact part is re-hashed: from the first entry that doesn't check out, entries
+// keep their old hashes so verification still reports the break there.
+async function keyLogChain(settings) {
+    if (settings.logChainKeyedAt) return;
+
+    const { rehashed, brokenAt } = await enqueueLogWrite(async () => {
+        let expectedSeq = 1;
+        let oldHash = LOG_GENESIS_HASH;
+        let newHash = LOG_GENESIS_HASH;
+
+        const cursor = ActivityLog.find({ seq: { $ne: null } }).sort({ seq: 1 }).lean().cursor();
+        for await (const entry of cursor) {
+            const intact = entry.seq === expectedSeq && entry.prevHash === oldHash &&
+                (unkeyedLogHash(entry) === entry.hash || hashLogEntry(entry) === entry.hash);
+            if (!intact) return { rehashed: expectedSeq - 1, brokenAt: entry.seq };
+
+            const update = { prevHash: newHash };
+            update.hash = hashLogEntry({ ...entry, ...update });
+            await ActivityLog.updateOne({ _id: entry._id }, { $set: update });
+            oldHash = entry.hash;
+            newHash = update.hash;
+            expectedSeq++;
+        }
+        return { rehashed: expectedSeq - 1, brokenAt: null };
+    });
+
+    settings.logChainKeyedAt = new Date();
+    await settings.save();
+    if (rehashed > 0) console.log(`✅ ${rehashed} log entries re-hashed with LOG_CHAIN_SECRET`);
+    if (brokenAt) console.warn(`⚠️ Activity log chain was already broken at #${brokenAt}, left unchanged from there`);
+}
+
+// Log helper function (identity comes from the verified session, see requireAuth).
+// `changes` is an optional field-level diff from diffFields().
+async function createLog(req, action, entity, entityId, details, changes) {
     try {
-        const user = req.headers['x-user'] || 'admin';
-        const userType = req.headers['x-user-type'] || 'admin';
+        const user = req.user?.username || 'anonymous';
+        const userType = req.user?.role || 'guest';
         const ipAddress = req.ip || req.connection?.remoteAddress || 'unknown';
 
-        await ActivityLog.create({
+        await appendLogEntry({
             action,
             entity,
             entityId,
             details,
             user,
             userType,
-            ipAddress
+            ipAddress,
+            ...(changes?.length ? { changes } : {})
         });
     } catch (error) {
         console.error('Error creating log:', error);
     }
 }
 
+// Diff values are plain JSON; long strings (e.g. base64 images) are shortened
+const LOG_VALUE_MAX_LENGTH = 200;
+
+function toLogValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object' && value._id && !(value instanceof Date)) value = value._id; // Populated ref
+    const plain = JSON.parse(JSON.stringify(value));
+    if (typeof plain === 'string' && plain.length > LOG_VALUE_MAX_LENGTH) {
+        return `${plain.slice(0, 60)}… (${plain.length} characters)`;
+    }
+    return plain;
+}
+
+// Field-level changes between two versions of a document: [{ field, old, new }].
+// Fields may be dotted paths, e.g. 'permissions.canAddDonation'.
+function diffFields(before, after, fields) {
+    const changes = [];
+    fields.forEach(field => {
+        const read = doc => field.split('.').reduce((value, key) => value?.[key], doc);
+        const oldValue = toLogValue(read(before));
+        const newValue = toLogValue(read(after));
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, old: oldValue, new: newValue });
+        }
+    });
+    return changes;
+}
+
+// Log an event that was not triggered by a request (timers, startup tasks)
+function createSystemLog(action, entity, entityId, details) {
+    const systemReq = { user: { username: 'system', role: 'system' }, ip: 'localhost' };
+    return createLog(systemReq, action, entity, entityId, details);
+}
+
+// ==================== SESSION TOKENS ====================
+
+function signPayload(encoded) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(encoded).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+// `purpose` keeps short-lived tokens (e.g. the 2FA login step) from being used as sessions
+function signToken(purpose, user, ttlMs, extra = {}) {
+    const expiresAt = Date.now() + ttlMs;
+    const payload = Buffer.from(JSON.stringify({
+        purpose,
+        role: user.role,
+        username: user.username,
+        id: user.id ? user.id.toString() : null,
+        ...extra,
+        exp: expiresAt
+    })).toString('base64url');
+    return { token: `${payload}.${signPayload(payload)}`, expiresAt: new Date(expiresAt) };
+}
+
+// Every session token points at a Session document (sid) so it can be revoked
+async function createSessionToken(user, req) {
+    const ttlMs = SESSION_TTL_HOURS * 60 * 60 * 1000;
+    const session = await Session.create({
+        userId: user.id,
+        username: user.username,
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+        ipAddress: req.ip || req.connection?.remoteAddress || 'unknown',
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return signToken('session', user, ttlMs, { sid: session._id.toString() });
+}
+
+// Revoke every still-active session matching the filter, returns how many were revoked
+async function revokeSessions(filter, revokedBy) {
+    const result = await Session.updateMany(
+        { ...filter, revokedAt: null },
+        { revokedAt: new Date(), revokedBy }
+    );
+    return result.modifiedCount;
+}
+
+function verifySessionToken(token) {
+    return verifyToken(token, 'session');
+}
+
+function verifyToken(token, purpose) {
+    if (!token || typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(signPayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (data.purpose !== purpose) return null;
+        if (!data.exp || data.exp < Date.now()) return null;
+        return data;
+    } catch (error) {
+        return null;
+    }
+}
+
+// lastSeenAt is written at most this often per session
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Auth middleware - rejects requests without a valid, unrevoked session token
+async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const session = verifySessionToken(token);
+
+    if (!session) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+        const record = session.sid && mongoose.isValidObjectId(session.sid)
+            ? await Session.findById(session.sid)
+            : null;
+        if (!record || record.revokedAt || record.expiresAt < new Date()) {
+            return res.status(401).json({ message: 'Session expired or signed out' });
+        }
+
+        if (Date.now() - record.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+            record.lastSeenAt = new Date();
+            record.ipAddress = req.ip || req.connection?.remoteAddress || record.ipAddress;
+            await record.save();
+        }
+
+        req.sessionId = record._id;
+        req.user = { role: session.role, username: session.username, id: session.id };
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+}
+
+// ==================== AUTHORIZATION ====================
+
+function hasPermission(user, flag) {
+    if (!user) return false;
+    if (user.role === 'collector') return !!user.permissions?.[flag];
+    return (ROLE_PERMISSIONS[user.role] || []).includes(flag);
+}
+
+// Effective permission flags for the browser (it only hides UI, the server decides)
+function resolvePermissions(user) {
+    const resolved = {};
+    ALL_PERMISSIONS.forEach(flag => {
+        resolved[flag] = hasPermission(user, flag);
+    });
+    resolved.assignedCategories = user.role === 'collector' ? user.permissions?.assignedCategories || [] : [];
+    return resolved;
+}
+
+// The account needs the given permission (use after requireAuth). Role and
+// flags are re-read from the database so changes apply without a new login.
+// Without a flag it only loads req.account (routes that check access themselves).
+function requirePermission(flag) {
+    return async (req, res, next) => {
+        try {
+            const account = await User.findById(req.user?.id);
+            if (!account) {
+                return res.status(401).json({ message: 'Account no longer exists' });
+            }
+            if (account.requireTwoFactor && !account.twoFactor?.enabled) {
+                return res.status(403).json({ message: 'Set up two-factor authentication to continue' });
+            }
+            if (account.mustChangePassword) {
+                return res.status(403).json({
+                    message: 'Change your password to continue',
+                    passwordChangeRequired: true
+                });
+            }
+            if (flag && !hasPermission(account, flag)) {
+                return res.status(403).json({ message: 'You do not have permission for this action' });
+            }
+            req.account = account;
+            req.user.role = account.role;
+            next();
+        } catch (error) {
+            res.status(500).json({ message: error.message });
+        }
+    };
+}
+
+// Collectors with assigned categories may only touch those categories
+function canAccessCategory(req, categoryId) {
+    if (req.account?.role !== 'collector') return true;
+    const assigned = req.account.permissions?.assignedCategories || [];
+    if (assigned.length === 0) return true;
+    return assigned.some(id => id.toString() === String(categoryId?._id || categoryId));
+}
+
+// ==================== LOGIN PROTECTION ====================
+
+// Failed attempts keyed by 'user:<name>' and 'ip:<address>'
+// { count, nextAttemptAt, lockedUntil, lastFailureAt }
+const loginFailures = new Map();
+
+// Server-issued login challenges: challengeId -> { answer, expiresAt }.
+// A script can solve the sum, so this only costs a bot an extra request per
+// attempt; the failure counters above are what limit password guessing.
+const loginChallenges = new Map();
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Challenges issued per IP in the current minute: address -> { count, windowStart }
+const challengeRequests = new Map();
+
+// Returns seconds the IP must wait before it gets another challenge (0 = allowed)
+function takeChallengeSlot(ipAddress) {
+    const now = Date.now();
+    const entry = challengeRequests.get(ipAddress);
+    if (!entry || now - entry.windowStart >= 60 * 1000) {
+        challengeRequests.set(ipAddress, { count: 1, windowStart: now });
+        return 0;
+    }
+    if (entry.count >= LOGIN_CHALLENGES_PER_MINUTE) {
+        return Math.ceil((entry.windowStart + 60 * 1000 - now) / 1000);
+    }
+    entry.count += 1;
+    return 0;
+}
+
+function createLoginChallenge() {
+    // Full: drop the oldest open challenge (Maps keep insertion order)
+    if (loginChallenges.size >= LOGIN_CHALLENGES_MAX_OPEN) {
+        loginChallenges.delete(loginChallenges.keys().next().value);
+    }
+    const num1 = crypto.randomInt(1, 11);
+    const num2 = crypto.randomInt(1, 11);
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    loginChallenges.set(challengeId, { answer: num1 + num2, expiresAt: Date.now() + CHALLENGE_TTL_MS });
+    return { challengeId, question: `${num1} + ${num2} = ?` };
+}
+
+// Challenges are single use, whether answered correctly or not
+function verifyLoginChallenge(challengeId, answer) {
+    const challenge = loginChallenges.get(challengeId);
+    if (!challenge) return false;
+    loginChallenges.delete(challengeId);
+    return challenge.expiresAt > Date.now() && parseInt(answer) === challenge.answer;
+}
+
+// Returns seconds the caller must wait before trying again (0 = allowed)
+function getLoginWaitSeconds(keys) {
+    const now = Date.now();
+    let waitUntil = 0;
+    for (const key of keys) {
+        const entry = loginFailures.get(key);
+        if (!entry) continue;
+        waitUntil = Math.max(waitUntil, entry.lockedUntil || 0, entry.nextAttemptAt || 0);
+    }
+    return waitUntil > now ? Math.ceil((waitUntil - now) / 1000) : 0;
+}
+
+// Progressive delay after the 3rd failure (2s, 4s, 8s...), lockout at the limit
+async function recordLoginFailure(req, key, limit) {
+    const now = Date.now();
+    const entry = loginFailures.get(key) || { count: 0 };
+    entry.count += 1;
+    entry.lastFailureAt = now;
+
+    if (entry.count >= limit) {
+        entry.lockedUntil = now + LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+        entry.nextAttemptAt = 0;
+        loginFailures.set(key, entry);
+        await createLog(req, 'LOCKOUT', 'AUTH', key,
+            `Locked out ${key} for ${LOGIN_LOCKOUT_MINUTES} minutes after ${entry.count} failed login attempts`);
+        return;
+    }
+
+    if (entry.count >= 3) {
+        entry.nextAttemptAt = now + Math.min(2 ** (entry.count - 2), 60) * 1000;
+    }
+    loginFailures.set(key, entry);
+}
+
+// Expire lockouts (logged as UNLOCK) and forget stale failure counters
+function sweepLoginFailures() {
+    const now = Date.now();
+    for (const [key, entry] of loginFailures) {
+        if (entry.lockedUntil && entry.lockedUntil <= now) {
+            loginFailures.delete(key);
+            createSystemLog('UNLOCK', 'AUTH', key, `Lockout expired for ${key}`);
+        } else if (!entry.lockedUntil && now - entry.lastFailureAt > 60 * 60 * 1000) {
+            loginFailures.delete(key);
+        }
+    }
+    for (const [id, challenge] of loginChallenges) {
+        if (challenge.expiresAt <= now) loginChallenges.delete(id);
+    }
+    for (const [ipAddress, entry] of challengeRequests) {
+        if (now - entry.windowStart >= 60 * 1000) challengeRequests.delete(ipAddress);
+    }
+}
+
+setInterval(sweepLoginFailures, 60 * 1000).unref();
+
+// ==================== PASSWORD POLICY ====================
+
+function loadPasswordBlocklist() {
+    try {
+        const lines = fs.readFileSync(PASSWORD_BLOCKLIST_FILE, 'utf8').split(/\r?\n/);
+        return new Set(lines
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#')));
+    } catch (error) {
+        console.warn(`⚠️ Password blocklist not loaded (${PASSWORD_BLOCKLIST_FILE}): ${error.message}`);
+        return new Set();
+    }
+}
+
+const passwordBlocklist = loadPasswordBlocklist();
+
+// Returns why the password is not allowed, or null if it is acceptable
+function checkPasswordPolicy(password, username) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+    if (Buffer.byteLength(password) > 72) {
+        return 'Password is too long'; // bcrypt ignores everything after 72 bytes
+    }
+    const lower = password.toLowerCase();
+    if (username && lower.includes(String(username).toLowerCase())) {
+        return 'Password must not contain the username';
+    }
+    if (passwordBlocklist.has(lower) || /^(.)\1+$/.test(password)) {
+        return 'This password is too common, choose another one';
+    }
+    if (PASSWORD_REQUIRE_MIX && !(/[a-z]/i.test(password) && /\d/.test(password))) {
+        return 'Password must contain both letters and digits';
+    }
+    return null;
+}
+
+// ==================== TWO-FACTOR (TOTP) ====================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) continue;
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP value for a counter (RFC 6238 uses the 30s time step as counter)
+function generateHotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', secret).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+    return code.toString().padStart(6, '0');
+}
+
+// Returns the matched time step (allowing one step of clock drift) or 0
+function verifyTotp(base32Secret, code, lastUsedStep = 0) {
+    if (!/^\d{6}$/.test(String(code || ''))) return 0;
+    const secret = base32Decode(base32Secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+        if (step <= lastUsedStep) continue;
+        const expected = Buffer.from(generateHotp(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) return step;
+    }
+    return 0;
+}
+
+function totpEncryptionKey() {
+    if (!TOTP_ENCRYPTION_KEY) {
+        throw new Error('Two-factor is not configured: set TOTP_ENCRYPTION_KEY or SESSION_SECRET');
+    }
+    return crypto.createHash('sha256').update(TOTP_ENCRYPTION_KEY).digest();
+}
+
+// AES-256-GCM, stored as iv:tag:ciphertext (hex)
+function encryptSecret(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', totpEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('hex')).join(':');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', totpEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Ten single-use codes like 'a1b2c-3d4e5', returned in plain text once
+async function generateRecoveryCodes() {
+    const codes = Array.from({ length: 10 }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+    return { codes, hashes };
+}
+
+async function loadTwoFactorAccount(user) {
+    const doc = await User.findById(user.id);
+    return doc && { doc, twoFactor: doc.twoFactor };
+}
+
+// Checks a TOTP code or an unused recovery code, consuming it on success
+async function verifySecondFactor(account, code) {
+    const { doc, twoFactor } = account;
+    const input = String(code || '').trim().toLowerCase();
+
+    const step = verifyTotp(decryptSecret(twoFactor.secret), input, twoFactor.lastUsedStep);
+    if (step) {
+        twoFactor.lastUsedStep = step;
+        await doc.save();
+        return { ok: true };
+    }
+
+    for (let i = 0; i < twoFactor.recoveryCodes.length; i++) {
+        if (await bcrypt.compare(input, twoFactor.recoveryCodes[i])) {
+            twoFactor.recoveryCodes.splice(i, 1);
+            await doc.save();
+            return { ok: true, usedRecoveryCode: true };
+        }
+    }
+    return { ok: false };
+}
+
 // Content moderation filter
 function filterProfanity(text) {
     const badWords = [
@@ -150,19 +1045,81 @@ function filterProfanity(text) {
 
 // ==================== INITIALIZE DEFAULT DATA ====================
 
+// Creates the owner from the old env-var admin (ADMIN_USERNAME + Settings.adminPassword)
+// and turns every SubAdmin into a collector. Safe to run on every startup.
+async function migrateUsers(settings) {
+    if (!await User.exists({ role: 'owner' })) {
+        const username = process.env.ADMIN_USERNAME || 'mandirjan';
+        const password = settings.adminPassword ||
+            await bcrypt.hash(process.env.ADMIN_DEFAULT_PASSWORD || 'admin123', 10);
+        const { codes, hashes } = await generateRecoveryCodes();
+        const owner = await User.create({
+            username,
+            password,
+            role: 'owner',
+            twoFactor: settings.adminTwoFactor ? settings.adminTwoFactor.toObject() : undefined,
+            passwordRecoveryCodes: hashes
+        });
+        await createSystemLog('MIGRATE', 'USER', owner._id.toString(), `Created owner account '${username}'`);
+        console.log(`✅ Owner account '${username}' created`);
+
+        // Shown once here, only the hashes are stored
+        console.log(`🔑 Password recovery codes for '${username}' (save them now, they are not shown again):`);
+        console.log(codes.map(code => `   ${code}`).join('\n'));
+    }
+
+    const subAdmins = await SubAdmin.find();
+    for (const subAdmin of subAdmins) {
+        if (await User.exists({ legacySubAdminId: subAdmin._id })) continue;
+        if (await User.exists({ username: subAdmin.username })) {
+            console.warn(`⚠️ Sub-admin '${subAdmin.username}' not migrated: username already taken`);
+            continue;
+        }
+
+        const user = await User.create({
+            username: subAdmin.username,
+            password: subAdmin.password,
+            role: 'collector',
+            permissions: subAdmin.permissions.toObject(),
+            requireTwoFactor: subAdmin.requireTwoFactor,
+            twoFactor: subAdmin.twoFactor ? subAdmin.twoFactor.toObject() : undefined,
+            legacySubAdminId: subAdmin._id,
+            createdAt: subAdmin.createdAt
+        });
+        await createSystemLog('MIGRATE', 'USER', user._id.toString(),
+            `Migrated sub-admin '${subAdmin.username}' to collector`);
+        console.log(`✅ Sub-admin '${subAdmin.username}' migrated to collector`);
+    }
+}
+
+// Accounts still on the seeded default password must pick a new one at next login
+async function flagDefaultPasswords() {
+    const defaultPassword = process.env.ADMIN_DEFAULT_PASSWORD || 'admin123';
+    const owners = await User.find({ role: 'owner', mustChangePassword: { $ne: true } });
+    for (const owner of owners) {
+        if (await bcrypt.compare(defaultPassword, owner.password)) {
+            owner.mustChangePassword = true;
+            await owner.save();
+            console.warn(`⚠️ Owner '${owner.username}' still uses the default password, a change is required at next login`);
+        }
+    }
+}
+
 async function initializeData() {
     try {
         // Check if settings exist
         let settings = await Settings.findOne();
         if (!settings) {
-            const hashedPassword = await bcrypt.hash(process.env.ADMIN_DEFAULT_PASSWORD || 'admin123', 10);
-            settings = await Settings.create({
-                adminPassword: hashedPassword,
-                viewMode: 'cards'
-            });
+            settings = await Settings.create({ viewMode: 'cards' });
             console.log('✅ Default settings created');
         }
 
+        await keyLogChain(settings);
+        await chainLegacyLogs(settings);
+        await migrateUsers(settings);
+        await flagDefaultPasswords();
+        await linkLegacyDonations();
+
         // Check if categories exist
         const categoryCount = await Category.countDocuments();
         if (categoryCount === 0) {
@@ -184,161 +1141,2286 @@ async function initializeData() {
                 { donorName: 'श्री अरुण शर्मा', amount: 15000, date: new Date('2024-02-01'), categoryId: categories[2]._id }
             ]);
             console.log('✅ Sample donations created');
+            await linkLegacyDonations();
+        }
+        await issueMissingReceipts();
+
+        // Create the usual construction materials if the catalogue is empty
+        const materialCount = await Material.countDocuments();
+        if (materialCount === 0) {
+            await Material.insertMany([
+                { name: 'Cement', nameHindi: 'सीमेंट', unit: 'bags' },
+                { name: 'Bricks', nameHindi: 'ईंट', unit: 'pieces' },
+                { name: 'Steel Rod', nameHindi: 'छड़', unit: 'kg' },
+                { name: 'Sand', nameHindi: 'बालू', unit: 'tractor loads' },
+                { name: 'Stone Chips', nameHindi: 'गिट्टी', unit: 'tractor loads' },
+                { name: 'Labour', nameHindi: 'श्रमदान', unit: 'days' }
+            ]);
+            console.log('✅ Materials catalogue created');
         }
     } catch (error) {
         console.error('Error initializing data:', error);
     }
 }
 
-// Run initialization after connection
-mongoose.connection.once('open', initializeData);
+// ==================== COMMAND LINE ====================
 
-// ==================== AUTH ROUTES ====================
+// `node server.js reset-password [username] [--disable-2fa]`, run on the server
+// machine when every recovery code is lost. Prints a new temporary password.
+const cliCommand = isMainModule ? process.argv[2] : undefined;
+
+async function resetPasswordCli() {
+    const args = process.argv.slice(3);
+    const disableTwoFactor = args.includes('--disable-2fa');
+    const username = args.find(arg => !arg.startsWith('--'));
 
-app.post('/api/auth/login', async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const owners = await User.find({ role: 'owner' });
+        const account = username
+            ? await User.findOne({ username })
+            : (owners.length === 1 ? owners[0] : null);
+        if (!account) {
+            console.error(username
+                ? `❌ No account named '${username}'`
+                : `❌ Pass the username to reset. Owners: ${owners.map(o => o.username).join(', ') || 'none'}`);
+            process.exitCode = 1;
+            return;
+        }
 
-        // Check main admin
-        const adminUsername = process.env.ADMIN_USERNAME || 'mandirjan';
-        if (username === adminUsername) {
-            const settings = await Settings.findOne();
-            const isMatch = await bcrypt.compare(password, settings.adminPassword);
-            if (isMatch) {
-                await createLog(req, 'LOGIN', 'AUTH', null, 'Admin logged in');
-                return res.json({
-                    success: true,
-                    user: { type: 'admin', username: adminUsername }
-                });
-            }
+        const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+        account.password = await bcrypt.hash(temporaryPassword, 10);
+        account.mustChangePassword = true;
+        if (disableTwoFactor) {
+            account.twoFactor = { enabled: false };
+        }
+        await account.save();
+        const revoked = await revokeSessions({ userId: account._id }, 'system');
+
+        await createSystemLog('RECOVERY', 'USER', account._id.toString(),
+            `Password reset from the server command line for '${account.username}'` +
+            `${disableTwoFactor ? ', two-factor disabled' : ''}, ${revoked} session(s) signed out`);
+        console.log(`✅ Password for '${account.username}' reset`);
+        console.log(`🔑 Temporary password: ${temporaryPassword}`);
+        if (disableTwoFactor) console.log('🔓 Two-factor authentication disabled');
+    } catch (error) {
+        console.error('❌ Password reset failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+const CLI_COMMANDS = { 'reset-password': resetPasswordCli };
+if (cliCommand && !CLI_COMMANDS[cliCommand]) {
+    console.error(`❌ Unknown command '${cliCommand}'. Available: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+    process.exit(1);
+}
+
+// Run initialization (or the command line task) after connection
+if (isMainModule) {
+    mongoose.connection.once('open', cliCommand ? CLI_COMMANDS[cliCommand] : initializeData);
+}
+
+// ==================== AUTH ROUTES ====================
+
+// Issue a login challenge (must be answered in the login request)
+app.get('/api/auth/challenge', (req, res) => {
+    const ipAddress = req.ip || req.connection?.remoteAddress || 'unknown';
+    const waitSeconds = takeChallengeSlot(ipAddress);
+    if (waitSeconds > 0) {
+        res.set('Retry-After', String(waitSeconds));
+        return res.status(429).json({
+            message: `Too many requests. Try again in ${waitSeconds} seconds.`,
+            retryAfter: waitSeconds
+        });
+    }
+    res.json(createLoginChallenge());
+});
+
+// Issue the session token once all login steps have passed. Only now is the
+// account's failure counter cleared, so a known password can't be used to
+// reset it between guesses at the second factor.
+async function sendLoginSuccess(req, res, user) {
+    loginFailures.delete(`user:${user.username.toLowerCase()}`);
+    req.user = { role: user.role, username: user.username, id: user.id };
+    await createLog(req, 'LOGIN', 'AUTH', user.id.toString(), `'${user.username}' (${user.role}) logged in`);
+    const session = await createSessionToken(req.user, req);
+    res.json({
+        success: true,
+        token: session.token,
+        expiresAt: session.expiresAt,
+        user
+    });
+}
+
+function loginUserFor(account) {
+    return {
+        id: account._id,
+        username: account.username,
+        role: account.role,
+        permissions: resolvePermissions(account),
+        twoFactorSetupRequired: account.requireTwoFactor && !account.twoFactor?.enabled,
+        mustChangePassword: account.mustChangePassword // Browser opens the change-password modal first
+    };
+}
+
+// Password was correct: either finish login or ask for the second factor
+async function passwordAccepted(req, res, user, twoFactor) {
+    if (twoFactor?.enabled) {
+        const pending = signToken('2fa', user, 5 * 60 * 1000);
+        return res.json({ success: true, twoFactorRequired: true, twoFactorToken: pending.token });
+    }
+    return sendLoginSuccess(req, res, user);
+}
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password, challengeId, captchaAnswer } = req.body;
+        // Anything but strings would reach the query as operators ({ "$ne": "" })
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ success: false, message: 'Username and password are required' });
+        }
+        const ipAddress = req.ip || req.connection?.remoteAddress || 'unknown';
+        const userKey = `user:${username.toLowerCase()}`;
+        const ipKey = `ip:${ipAddress}`;
+
+        const waitSeconds = getLoginWaitSeconds([userKey, ipKey]);
+        if (waitSeconds > 0) {
+            res.set('Retry-After', String(waitSeconds));
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed attempts. Try again in ${waitSeconds} seconds.`,
+                retryAfter: waitSeconds
+            });
+        }
+
+        if (!verifyLoginChallenge(challengeId, captchaAnswer)) {
+            return res.status(400).json({ success: false, message: 'Incorrect security check. Try again.' });
+        }
+
+        const account = await User.findOne({ username });
+        if (account) {
+            const isMatch = await bcrypt.compare(password, account.password);
+            if (isMatch) {
+                return passwordAccepted(req, res, loginUserFor(account), account.twoFactor);
+            }
+        }
+
+        await createLog(req, 'LOGIN_FAILED', 'AUTH', null, `Failed login attempt for '${username}'`);
+        await recordLoginFailure(req, userKey, LOGIN_MAX_ATTEMPTS);
+        await recordLoginFailure(req, ipKey, LOGIN_MAX_ATTEMPTS_PER_IP);
+        res.status(401).json({ success: false, message: 'Invalid credentials' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Second login step: TOTP code or recovery code
+app.post('/api/auth/login/2fa', async (req, res) => {
+    try {
+        const { twoFactorToken, code } = req.body;
+        const pending = verifyToken(twoFactorToken, '2fa');
+        if (!pending) {
+            return res.status(401).json({ success: false, message: 'Login step expired. Please log in again.' });
+        }
+
+        const ipAddress = req.ip || req.connection?.remoteAddress || 'unknown';
+        const userKey = `user:${pending.username.toLowerCase()}`;
+        const ipKey = `ip:${ipAddress}`;
+
+        const waitSeconds = getLoginWaitSeconds([userKey, ipKey]);
+        if (waitSeconds > 0) {
+            res.set('Retry-After', String(waitSeconds));
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed attempts. Try again in ${waitSeconds} seconds.`,
+                retryAfter: waitSeconds
+            });
+        }
+
+        const account = await loadTwoFactorAccount(pending);
+        if (!account?.twoFactor?.enabled) {
+            return res.status(401).json({ success: false, message: 'Login step expired. Please log in again.' });
+        }
+
+        const result = await verifySecondFactor(account, code);
+        if (!result.ok) {
+            await createLog(req, 'LOGIN_FAILED', 'AUTH', pending.id,
+                `Invalid two-factor code for '${pending.username}'`);
+            await recordLoginFailure(req, userKey, LOGIN_MAX_ATTEMPTS);
+            await recordLoginFailure(req, ipKey, LOGIN_MAX_ATTEMPTS_PER_IP);
+            return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+        }
+
+        const user = loginUserFor(account.doc);
+        if (result.usedRecoveryCode) {
+            req.user = { role: user.role, username: user.username, id: user.id };
+            await createLog(req, 'RECOVERY_CODE', 'AUTH', pending.id,
+                `Recovery code used by '${user.username}' (${account.twoFactor.recoveryCodes.length} left)`);
+        }
+        await sendLoginSuccess(req, res, user);
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Sign out this device
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await revokeSessions({ _id: req.sessionId }, req.user.username);
+        await createLog(req, 'LOGOUT', 'AUTH', req.user.id, `'${req.user.username}' logged out`);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Two-factor status for the logged-in user
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+    try {
+        const account = await loadTwoFactorAccount(req.user);
+        if (!account) return res.status(404).json({ message: 'Account not found' });
+        res.json({
+            enabled: !!account.twoFactor?.enabled,
+            required: !!account.doc.requireTwoFactor,
+            recoveryCodesRemaining: account.twoFactor?.recoveryCodes.length || 0
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Start enrollment: new secret + QR code for the authenticator app
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+    try {
+        const account = await loadTwoFactorAccount(req.user);
+        if (!account) return res.status(404).json({ message: 'Account not found' });
+        if (account.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor is already enabled' });
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        account.twoFactor.pendingSecret = encryptSecret(secret);
+        await account.doc.save();
+
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.username}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+            `&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        res.json({ secret, otpauthUrl, qrCode });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Finish enrollment by confirming a code; returns the recovery codes once
+app.post('/api/auth/2fa/enable', requireAuth, async (req, res) => {
+    try {
+        const account = await loadTwoFactorAccount(req.user);
+        if (!account) return res.status(404).json({ message: 'Account not found' });
+
+        const { twoFactor, doc } = account;
+        if (!twoFactor.pendingSecret) {
+            return res.status(400).json({ message: 'Start two-factor setup first' });
+        }
+
+        const secret = decryptSecret(twoFactor.pendingSecret);
+        const step = verifyTotp(secret, req.body.code);
+        if (!step) {
+            return res.status(400).json({ message: 'Invalid code. Check the time on your phone and try again.' });
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        twoFactor.enabled = true;
+        twoFactor.secret = twoFactor.pendingSecret;
+        twoFactor.pendingSecret = '';
+        twoFactor.recoveryCodes = hashes;
+        twoFactor.lastUsedStep = step;
+        await doc.save();
+
+        await createLog(req, 'EDIT', 'AUTH', req.user.id, `Two-factor enabled for '${req.user.username}'`,
+            [{ field: 'twoFactor.enabled', old: false, new: true }]);
+        res.json({ enabled: true, recoveryCodes: codes });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Turn off 2FA (needs a current code; not allowed when the admin requires it)
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+    try {
+        const account = await loadTwoFactorAccount(req.user);
+        if (!account) return res.status(404).json({ message: 'Account not found' });
+        if (!account.twoFactor.enabled) {
+            return res.status(400).json({ message: 'Two-factor is not enabled' });
+        }
+        if (account.doc.requireTwoFactor) {
+            return res.status(403).json({ message: 'Two-factor is required for your account' });
+        }
+
+        const result = await verifySecondFactor(account, req.body.code);
+        if (!result.ok) {
+            return res.status(400).json({ message: 'Invalid two-factor code' });
+        }
+
+        account.twoFactor.enabled = false;
+        account.twoFactor.secret = '';
+        account.twoFactor.recoveryCodes = [];
+        await account.doc.save();
+
+        await createLog(req, 'EDIT', 'AUTH', req.user.id, `Two-factor disabled for '${req.user.username}'`,
+            [{ field: 'twoFactor.enabled', old: true, new: false }]);
+        res.json({ enabled: false });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ==================== PASSWORD RECOVERY ====================
+
+// Remaining password recovery codes of the logged-in owner
+app.get('/api/auth/recovery-codes', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
+    try {
+        res.json({ remaining: req.account.passwordRecoveryCodes.length });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Replace the owner's recovery codes (old ones stop working), returned in plain text once
+app.post('/api/auth/recovery-codes', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
+    try {
+        const isMatch = await bcrypt.compare(String(req.body.currentPassword || ''), req.account.password);
+        if (!isMatch) {
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        const remainingBefore = req.account.passwordRecoveryCodes.length;
+        req.account.passwordRecoveryCodes = hashes;
+        await req.account.save();
+
+        await createLog(req, 'EDIT', 'AUTH', req.user.id,
+            `Password recovery codes regenerated for '${req.user.username}'`,
+            [{ field: 'passwordRecoveryCodes', old: `${remainingBefore} unused`, new: `${hashes.length} new` }]);
+        res.json({ recoveryCodes: codes });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Reset a forgotten owner password with a recovery code (no login needed)
+app.post('/api/auth/recover', async (req, res) => {
+    try {
+        const { username, recoveryCode, newPassword, challengeId, captchaAnswer } = req.body;
+        if (typeof username !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({ message: 'Username and new password are required' });
+        }
+        const ipAddress = req.ip || req.connection?.remoteAddress || 'unknown';
+        const userKey = `user:${username.toLowerCase()}`;
+        const ipKey = `ip:${ipAddress}`;
+
+        const waitSeconds = getLoginWaitSeconds([userKey, ipKey]);
+        if (waitSeconds > 0) {
+            res.set('Retry-After', String(waitSeconds));
+            return res.status(429).json({
+                message: `Too many failed attempts. Try again in ${waitSeconds} seconds.`,
+                retryAfter: waitSeconds
+            });
+        }
+
+        if (!verifyLoginChallenge(challengeId, captchaAnswer)) {
+            return res.status(400).json({ message: 'Incorrect security check. Try again.' });
+        }
+        const policyError = checkPasswordPolicy(newPassword, username);
+        if (policyError) {
+            return res.status(400).json({ message: policyError });
+        }
+
+        const account = await User.findOne({ username, role: 'owner' });
+        const input = String(recoveryCode || '').trim().toLowerCase();
+        const codes = account?.passwordRecoveryCodes || [];
+        let usedIndex = -1;
+        for (let i = 0; i < codes.length; i++) {
+            if (await bcrypt.compare(input, codes[i])) {
+                usedIndex = i;
+                break;
+            }
+        }
+
+        if (usedIndex === -1) {
+            await createLog(req, 'RECOVERY_FAILED', 'AUTH', account?._id.toString() || null,
+                `Failed password recovery attempt for '${username}'`);
+            await recordLoginFailure(req, userKey, LOGIN_MAX_ATTEMPTS);
+            await recordLoginFailure(req, ipKey, LOGIN_MAX_ATTEMPTS_PER_IP);
+            return res.status(401).json({ message: 'Invalid username or recovery code' });
+        }
+
+        account.passwordRecoveryCodes.splice(usedIndex, 1);
+        account.password = await bcrypt.hash(newPassword, 10);
+        account.mustChangePassword = false;
+        await account.save();
+
+        // Whoever had the old password is signed out
+        await revokeSessions({ userId: account._id }, 'recovery');
+        req.user = { role: account.role, username: account.username, id: account._id.toString() };
+        await createLog(req, 'RECOVERY', 'USER', account._id.toString(),
+            `Password reset with a recovery code for '${account.username}' ` +
+            `(${account.passwordRecoveryCodes.length} codes left)`);
+        res.json({
+            message: 'Password reset. You can now log in with the new password.',
+            recoveryCodesRemaining: account.passwordRecoveryCodes.length
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ==================== DONATIONS ROUTES ====================
+
+// Trash fields are only set by the delete and restore routes
+const NOT_DELETED = { deletedAt: null };
+const TRASH_FIELDS = ['deletedAt', 'deletedBy', 'deleteReason'];
+
+function withoutTrashFields(body) {
+    const data = { ...body };
+    TRASH_FIELDS.forEach(field => delete data[field]);
+    return data;
+}
+
+// Donation fields a client may send when creating or editing (status is
+// decided by the server, review fields only by the review routes)
+function donationInput(body) {
+    const data = withoutTrashFields(body);
+    ['status', 'submittedBy', 'reviewReason', 'reviewedBy', 'reviewedAt', 'proposedChange',
+        'receiptNumber', 'receiptYear', 'receiptSeq', 'receiptIssuedAt'].forEach(field => delete data[field]);
+    return data;
+}
+
+// Receipt numbers are never taken back, so a donation that has one can't move
+// back to pending or rejected. Returns the reason, or null if the status is fine.
+function receiptBlocksStatus(donation, status) {
+    if (!donation.receiptNumber || !status || status === 'approved') return null;
+    return `Receipt ${donation.receiptNumber} was issued for this donation. Move it to the trash instead.`;
+}
+
+// Fields compared for the EDIT log diff and kept in each revision snapshot
+const DONATION_LOG_FIELDS = ['donorName', 'donorId', 'amount', 'date', 'categoryId', 'notes', 'pan', 'donorAddress',
+    'paymentMode', 'paymentReference', 'chequeStatus', 'collectedBy', 'pledgeId',
+    'materialId', 'itemName', 'itemUnit', 'quantity', 'estimatedValue', 'privacy', 'notesPublic', 'status'];
+
+function donationSnapshot(donation) {
+    const snapshot = {};
+    DONATION_LOG_FIELDS.forEach(field => {
+        snapshot[field] = toLogValue(donation[field]);
+    });
+    return snapshot;
+}
+
+// Append a revision for the donation's current state. Donations from before
+// revisions existed first get a 'baseline' revision of their previous state.
+async function recordDonationRevision(req, donation, action, { before, note = '' } = {}) {
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const last = await DonationRevision.findOne({ donationId: donation._id }).sort({ revision: -1 });
+            let revision = last?.revision || 0;
+            const entries = [];
+            if (!last && before) {
+                entries.push({
+                    action: 'baseline',
+                    snapshot: donationSnapshot(before),
+                    note: 'State before version history was recorded',
+                    user: 'system',
+                    userType: 'system',
+                    timestamp: before.createdAt
+                });
+            }
+            entries.push({
+                action,
+                snapshot: donationSnapshot(donation),
+                note,
+                user: req.user?.username || 'anonymous',
+                userType: req.user?.role || 'guest'
+            });
+
+            try {
+                await DonationRevision.insertMany(entries.map(entry => ({
+                    ...entry,
+                    donationId: donation._id,
+                    revision: ++revision
+                })), { ordered: true });
+                return;
+            } catch (error) {
+                if (error.code !== 11000 || attempt >= 3) throw error;
+            }
+        }
+    } catch (error) {
+        console.error('Error recording donation revision:', error);
+    }
+}
+
+// Staff who enter, review or export donations read the full records
+function canReadDonationRecords(account) {
+    return ['canAddDonation', 'canEditDonation', 'canDeleteDonation', 'canApproveDonation', 'canExportData']
+        .some(flag => hasPermission(account, flag));
+}
+
+// Full records, any status (the public page reads /api/public/donations). Collectors
+// only get their assigned categories; other staff, such as moderators, get the public list.
+app.get('/api/donations', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!canReadDonationRecords(req.account)) {
+            return res.json(await publicDonationList());
+        }
+
+        const query = { ...NOT_DELETED };
+        if (req.query.status) {
+            query.status = String(req.query.status);
+        }
+
+        const donations = await Donation.find(query)
+            .select('-pan -donorAddress -paymentReference')
+            .populate('categoryId')
+            .populate('donorId', 'nameHindi nameEnglish categoryId')
+            .sort({ date: -1 });
+        res.json(donations.filter(donation => canAccessCategory(req, donation.categoryId)));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Create donation
+app.post('/api/donations', requireAuth, requirePermission('canAddDonation'), async (req, res) => {
+    try {
+        const donationData = donationInput(req.body);
+        donationData.submittedBy = req.user.username;
+        donationData.collectedBy = String(donationData.collectedBy || '').trim() || req.user.username;
+        const pledge = await pledgeForDonation(donationData.pledgeId);
+        if (pledge) donationData.donorId = pledge.donorId;
+
+        if (!canAccessCategory(req, donationData.categoryId)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+
+        // Collectors create pending donations by default
+        if (req.account.role === 'collector') {
+            donationData.status = 'pending';
+            // Sub-admins MUST provide amount and date if they are entering data
+            // However, user said if they enter amount, then date is required.
+            // Let's enforce that if amount > 0, date should probably be set, but schema has default Date.now
+            // The constraint was: "subadmin se agar daale toh date required hoga"
+            const given = req.body.paymentMode === 'in_kind' ? req.body.quantity : req.body.amount;
+            if (!given || !req.body.date) {
+                return res.status(400).json({ message: "Amount (or quantity) and Date are required for Sub-admins" });
+            }
+        } else {
+            donationData.status = 'approved';
+        }
+
+        const donation = new Donation(donationData);
+        await donation.validate();
+
+        // Probably the same receipt entered again: the client must confirm
+        const [duplicates] = await findDuplicateDonations([donation], await getDuplicateWindowMs());
+        if (duplicates.length > 0 && !req.body.confirmDuplicate) {
+            return res.status(409).json({
+                message: `Possible duplicate: ${duplicates.length} similar donation(s) already recorded`,
+                duplicate: true,
+                matches: duplicates
+            });
+        }
+
+        donation.donorId = await resolveDonorId(donationData.donorId, donation.donorName, donation.categoryId);
+        await donation.save();
+        await fillDonorTaxDetails(donation);
+        await tryAssignReceiptNumber(donation._id);
+
+        const populated = await Donation.findById(donation._id).populate('categoryId');
+
+        await createLog(req, 'ADD', 'DONATION', donation._id.toString(),
+            `Added donation (${donationData.status}): ${req.body.donorName} - ₹${req.body.amount}` +
+            (duplicates.length > 0 ? ' (confirmed despite a possible duplicate)' : ''));
+        await recordDonationRevision(req, donation, 'create');
+
+        res.status(201).json(populated);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+
+// Update donation
+app.put('/api/donations/:id', requireAuth, requirePermission('canEditDonation'), async (req, res) => {
+    try {
+        const oldDonation = await Donation.findOne({ _id: req.params.id, ...NOT_DELETED });
+        if (!oldDonation) return res.status(404).json({ message: 'Donation not found' });
+        if (!canAccessCategory(req, oldDonation.categoryId) ||
+            (req.body.categoryId && !canAccessCategory(req, req.body.categoryId))) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+        if (req.body.pledgeId && String(req.body.pledgeId) !== String(oldDonation.pledgeId)) {
+            req.body.donorId = (await pledgeForDonation(req.body.pledgeId)).donorId;
+        }
+        if (needsProposal(req, oldDonation)) {
+            return proposeDonationChange(req, res, oldDonation, 'edit');
+        }
+        if ('donorId' in req.body) {
+            req.body.donorId = await resolveDonorId(req.body.donorId,
+                req.body.donorName || oldDonation.donorName, req.body.categoryId || oldDonation.categoryId);
+        }
+
+        // Only reviewers may change the status directly
+        const updates = donationInput(req.body);
+        if (req.body.status && hasPermission(req.account, 'canApproveDonation')) {
+            updates.status = req.body.status;
+        }
+        const statusError = receiptBlocksStatus(oldDonation, updates.status);
+        if (statusError) return res.status(400).json({ message: statusError });
+
+        const edited = await Donation.findById(req.params.id);
+        DONATION_LOG_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) edited[field] = updates[field];
+        });
+        await edited.save();
+        await tryAssignReceiptNumber(edited._id); // If it was just approved
+        const donation = await Donation.findById(edited._id).populate('categoryId');
+        await fillDonorTaxDetails(donation);
+        const changes = diffFields(oldDonation, donation, DONATION_LOG_FIELDS);
+        await createLog(req, 'EDIT', 'DONATION', donation._id.toString(),
+            `Edited donation: ${oldDonation.donorName} (₹${oldDonation.amount} → ₹${donation.amount})`, changes);
+        await recordDonationRevision(req, donation, 'edit', { before: oldDonation });
+        res.json(donation);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ==================== DUPLICATE DETECTION ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEVANAGARI_TO_LATIN = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au',
+    'ं': 'n', 'ँ': 'n', 'ः': 'h', '्': '', '़': '',
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+};
+
+// Rough sound of a name in either script, so "श्री रमेश प्रसाद", "Ramesh Prasad" and
+// "Ramesh Prashad" compare equal: honorifics, spaces, aspiration and every vowel
+// after the first letter are dropped, doubled letters collapsed
+function donorNameSoundKey(name) {
+    const latin = [...normalizeDonorName(name)].map(char => DEVANAGARI_TO_LATIN[char] ?? char).join('');
+    return latin
+        .replace(/[^a-z]/g, '')
+        .replace(/w/g, 'v').replace(/z/g, 'j').replace(/q/g, 'k').replace(/f/g, 'p')
+        .replace(/([bcdgjkpst])h/g, '$1')
+        .replace(/(?!^)[aeiou]/g, '')
+        .replace(/(.)\1+/g, '$1');
+}
+
+// Same category, same amount, a date within the window and the same sounding
+// donor name: most likely the same receipt entered twice
+function isLikelyDuplicate(a, b, windowMs) {
+    return String(a.categoryId?._id || a.categoryId) === String(b.categoryId?._id || b.categoryId) &&
+        Number(a.amount) === Number(b.amount) &&
+        (a.itemName || '') === (b.itemName || '') && Number(a.quantity || 0) === Number(b.quantity || 0) &&
+        Math.abs(new Date(a.date) - new Date(b.date)) <= windowMs &&
+        donorNameSoundKey(a.donorName) === donorNameSoundKey(b.donorName);
+}
+
+async function getDuplicateWindowMs() {
+    const settings = await Settings.findOne();
+    return (settings?.duplicateWindowDays ?? 3) * DAY_MS;
+}
+
+// Recorded donations that look like each entry ({ donorName, amount, date, categoryId }),
+// one array of matches per entry
+async function findDuplicateDonations(entries, windowMs) {
+    const checkable = entries.filter(entry =>
+        mongoose.isValidObjectId(entry.categoryId?._id || entry.categoryId) && !isNaN(new Date(entry.date)));
+    if (checkable.length === 0) return entries.map(() => []);
+
+    const times = checkable.map(entry => new Date(entry.date).getTime());
+    const candidates = await Donation.find({
+        categoryId: { $in: [...new Set(checkable.map(entry => String(entry.categoryId?._id || entry.categoryId)))] },
+        amount: { $in: [...new Set(checkable.map(entry => Number(entry.amount)))] },
+        date: { $gte: new Date(Math.min(...times) - windowMs), $lte: new Date(Math.max(...times) + windowMs) },
+        status: { $ne: 'rejected' },
+        ...NOT_DELETED
+    }).select('donorName amount itemName quantity date categoryId status submittedBy').lean();
+
+    return entries.map(entry => candidates.filter(candidate =>
+        !candidate._id.equals(entry._id) && isLikelyDuplicate(entry, candidate, windowMs)));
+}
+
+// Flag likely duplicates before a CSV import: { categoryId, rows: [{ donorName, amount, date }] }.
+// Rows are compared with recorded donations and with earlier rows of the same file.
+app.post('/api/donations/check-duplicates', requireAuth, requirePermission('canAddDonation'), async (req, res) => {
+    try {
+        const { categoryId, rows } = req.body;
+        if (!Array.isArray(rows) || rows.length > 5000) {
+            return res.status(400).json({ message: 'Send up to 5000 rows' });
+        }
+        if (!canAccessCategory(req, categoryId)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+
+        const windowMs = await getDuplicateWindowMs();
+        const entries = rows.map(row => ({ ...row, categoryId }));
+        const matches = await findDuplicateDonations(entries, windowMs);
+
+        const flagged = [];
+        entries.forEach((entry, index) => {
+            const fileMatches = [];
+            for (let earlier = 0; earlier < index; earlier++) {
+                if (isLikelyDuplicate(entry, entries[earlier], windowMs)) fileMatches.push(earlier);
+            }
+            if (matches[index].length > 0 || fileMatches.length > 0) {
+                flagged.push({ index, matches: matches[index], fileMatches });
+            }
+        });
+
+        res.json({ windowDays: windowMs / DAY_MS, rows: flagged });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ==================== DONATION REVIEW ====================
+
+const REVIEW_ACTIONS = {
+    approve: { status: 'approved', logAction: 'APPROVE', label: 'Approved' },
+    reject: { status: 'rejected', logAction: 'REJECT', label: 'Rejected', needsReason: true },
+    request_changes: {
+        status: 'changes_requested', logAction: 'REQUEST_CHANGES', label: 'Requested changes to', needsReason: true
+    }
+};
+
+// Approve, reject or send back one pending donation.
+// Resolves to { donation } or { status, message } when it can't be reviewed.
+async function reviewDonation(req, id, action, reason) {
+    const review = REVIEW_ACTIONS[action];
+    if (!review) return { status: 400, message: 'Unknown review action' };
+
+    const text = String(reason || '').trim().slice(0, 500);
+    if (review.needsReason && !text) return { status: 400, message: 'A reason is required' };
+
+    const donation = mongoose.isValidObjectId(id) && await Donation.findOne({ _id: id, ...NOT_DELETED });
+    if (!donation) return { status: 404, message: 'Donation not found' };
+    if (donation.status !== 'pending') {
+        return { status: 400, message: `Only pending donations can be reviewed (this one is ${donation.status})` };
+    }
+
+    const before = donation.toObject();
+    donation.status = review.status;
+    donation.reviewReason = text;
+    donation.reviewedBy = req.user.username;
+    donation.reviewedAt = new Date();
+    await donation.save();
+    const { receiptNumber } = await tryAssignReceiptNumber(donation._id);
+
+    await recordDonationRevision(req, donation, action, { before, note: text });
+    await createLog(req, review.logAction, 'DONATION', donation._id.toString(),
+        `${review.label} donation: ${donation.donorName} - ₹${donation.amount}${text ? ` (reason: ${text})` : ''}` +
+        (receiptNumber ? `, receipt ${receiptNumber}` : ''),
+        diffFields(before, donation, ['status', 'reviewReason']));
+    return { donation: await Donation.findById(donation._id).populate('categoryId') };
+}
+
+function reviewRoute(action) {
+    return async (req, res) => {
+        try {
+            const result = await reviewDonation(req, req.params.id, action, req.body.reason);
+            if (!result.donation) return res.status(result.status).json({ message: result.message });
+            res.json(result.donation);
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    };
+}
+
+// Approve donation
+app.put('/api/donations/:id/approve', requireAuth, requirePermission('canApproveDonation'), reviewRoute('approve'));
+
+// Reject donation (reason required)
+app.put('/api/donations/:id/reject', requireAuth, requirePermission('canApproveDonation'), reviewRoute('reject'));
+
+// Send a donation back to its submitter to fix (reason required)
+app.put('/api/donations/:id/request-changes', requireAuth, requirePermission('canApproveDonation'),
+    reviewRoute('request_changes'));
+
+// Review several donations at once: { ids: [...], action: 'approve' | 'reject' | 'request_changes', reason }
+app.post('/api/donations/bulk-review', requireAuth, requirePermission('canApproveDonation'), async (req, res) => {
+    try {
+        const { ids, action, reason } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ message: 'Select at least one donation' });
+        }
+        if (!REVIEW_ACTIONS[action]) {
+            return res.status(400).json({ message: 'Unknown review action' });
+        }
+
+        const updated = [];
+        const failed = [];
+        for (const id of ids) {
+            const result = await reviewDonation(req, id, action, reason);
+            if (result.donation) {
+                updated.push(result.donation._id);
+            } else {
+                failed.push({ id, message: result.message });
+            }
+        }
+        res.json({ updated, failed });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Donations entered by the logged-in user (newest first), with review status and reason
+app.get('/api/donations/mine', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        const donations = await Donation.find({ submittedBy: req.account.username, ...NOT_DELETED })
+            .populate('categoryId')
+            .sort({ createdAt: -1 });
+        res.json(donations);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// The submitter fixes a rejected or sent-back donation, which goes back to pending
+app.post('/api/donations/:id/resubmit', requireAuth, requirePermission('canAddDonation'), async (req, res) => {
+    try {
+        const donation = await Donation.findOne({ _id: req.params.id, ...NOT_DELETED });
+        if (!donation || donation.submittedBy !== req.account.username) {
+            return res.status(404).json({ message: 'Donation not found' });
+        }
+        if (!['rejected', 'changes_requested'].includes(donation.status)) {
+            return res.status(400).json({ message: 'Only rejected or sent-back donations can be resubmitted' });
+        }
+
+        const updates = donationInput(req.body);
+        if (!canAccessCategory(req, updates.categoryId || donation.categoryId)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+        if (updates.pledgeId && String(updates.pledgeId) !== String(donation.pledgeId)) {
+            updates.donorId = (await pledgeForDonation(updates.pledgeId)).donorId;
+        }
+
+        const before = donation.toObject();
+        DONATION_LOG_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) donation[field] = updates[field];
+        });
+        if ('donorId' in updates) {
+            donation.donorId = await resolveDonorId(updates.donorId, donation.donorName, donation.categoryId);
+        }
+        donation.status = 'pending';
+        await donation.save();
+        await fillDonorTaxDetails(donation);
+
+        await recordDonationRevision(req, donation, 'resubmit', { before });
+        await createLog(req, 'EDIT', 'DONATION', donation._id.toString(),
+            `Resubmitted donation for approval: ${donation.donorName} - ₹${donation.amount}`,
+            diffFields(before, donation, DONATION_LOG_FIELDS));
+        res.json(await donation.populate('categoryId'));
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Delete donation (moves it to the trash, body may carry a `reason`)
+app.delete('/api/donations/:id', requireAuth, requirePermission('canDeleteDonation'), async (req, res) => {
+    try {
+        const donation = await Donation.findOne({ _id: req.params.id, ...NOT_DELETED });
+        if (!donation) return res.status(404).json({ message: 'Donation not found' });
+        if (!canAccessCategory(req, donation.categoryId)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+        if (needsProposal(req, donation)) {
+            return proposeDonationChange(req, res, donation, 'delete');
+        }
+
+        const before = donation.toObject();
+        moveToTrash(donation, req);
+        await donation.save();
+        await recordDonationRevision(req, donation, 'delete', { before, note: donation.deleteReason });
+        await createLog(req, 'DELETE', 'DONATION', donation._id.toString(),
+            `Moved donation to trash: ${donation.donorName} - ₹${donation.amount}` +
+            (donation.deleteReason ? ` (reason: ${donation.deleteReason})` : ''));
+        res.json({ message: 'Donation moved to trash', id: donation._id });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ==================== PROPOSED CHANGES ====================
+
+// Fields a proposed edit may change (status only moves through review)
+const PROPOSABLE_FIELDS = DONATION_LOG_FIELDS.filter(field => field !== 'status');
+
+// Edits and deletions of approved donations by someone who can't approve
+// are stored as a proposal instead of taking effect
+function needsProposal(req, donation) {
+    return donation.status === 'approved' && !hasPermission(req.account, 'canApproveDonation');
+}
+
+async function proposeDonationChange(req, res, donation, kind) {
+    const proposal = {
+        kind,
+        reason: String(req.body?.reason || '').trim().slice(0, 300),
+        proposedBy: req.user.username,
+        proposedAt: new Date()
+    };
+
+    let changes = [];
+    if (kind === 'edit') {
+        const input = donationInput(req.body);
+        if (input.donorId && !await Donor.exists({ _id: input.donorId })) {
+            return res.status(400).json({ message: 'Donor not found' });
+        }
+        const draft = new Donation(donation.toObject());
+        PROPOSABLE_FIELDS.forEach(field => {
+            if (input[field] !== undefined) draft[field] = input[field];
+        });
+        await draft.validate();
+        changes = diffFields(donation, draft, PROPOSABLE_FIELDS);
+        if (changes.length === 0) {
+            return res.status(400).json({ message: 'Nothing was changed' });
+        }
+        proposal.fields = Object.fromEntries(changes.map(change => [change.field, draft[change.field]]));
+    }
+
+    // Only one open proposal per donation
+    const result = await Donation.updateOne(
+        { _id: donation._id, proposedChange: null },
+        { proposedChange: proposal }
+    );
+    if (result.modifiedCount === 0) {
+        return res.status(409).json({ message: 'Another change to this donation is already waiting for approval' });
+    }
+
+    await createLog(req, 'PROPOSE', 'DONATION', donation._id.toString(),
+        (kind === 'edit' ? 'Proposed an edit to donation: ' : 'Proposed deleting donation: ') +
+        `${donation.donorName} - ₹${donation.amount}` + (proposal.reason ? ` (reason: ${proposal.reason})` : ''),
+        changes);
+    res.status(202).json({
+        message: kind === 'edit' ? 'Edit sent for approval' : 'Deletion sent for approval',
+        proposed: true,
+        donation: await Donation.findById(donation._id).populate('categoryId')
+    });
+}
+
+// Donations with a proposed edit or deletion, oldest proposal first
+app.get('/api/donations/proposals', requireAuth, requirePermission('canApproveDonation'), async (req, res) => {
+    try {
+        const donations = await Donation.find({ proposedChange: { $ne: null }, ...NOT_DELETED })
+            .populate('categoryId')
+            .sort({ 'proposedChange.proposedAt': 1 });
+        res.json(donations);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Apply a proposed edit or deletion
+app.put('/api/donations/:id/proposal/approve', requireAuth, requirePermission('canApproveDonation'), async (req, res) => {
+    try {
+        const donation = await Donation.findOne({ _id: req.params.id, proposedChange: { $ne: null }, ...NOT_DELETED });
+        if (!donation) return res.status(404).json({ message: 'No proposed change for this donation' });
+
+        const proposal = donation.proposedChange;
+        const before = donation.toObject();
+        const note = `Proposed by ${proposal.proposedBy}`;
+
+        if (proposal.kind === 'edit') {
+            const fields = proposal.fields || {};
+            if (fields.categoryId && !await Category.exists({ _id: fields.categoryId, ...NOT_DELETED })) {
+                return res.status(400).json({ message: 'The proposed category no longer exists' });
+            }
+            PROPOSABLE_FIELDS.forEach(field => {
+                if (fields[field] !== undefined) donation[field] = fields[field];
+            });
+            if ('donorId' in fields) {
+                // Resolved only now: the donor may have been merged since, and a
+                // proposal that is never applied must not create a donor profile
+                donation.donorId = await resolveDonorId(fields.donorId, donation.donorName, donation.categoryId);
+            }
+            donation.proposedChange = null;
+            await donation.save();
+
+            await recordDonationRevision(req, donation, 'edit', { before, note });
+            await createLog(req, 'EDIT', 'DONATION', donation._id.toString(),
+                `Approved ${proposal.proposedBy}'s edit to donation: ${before.donorName} (₹${before.amount} → ₹${donation.amount})`,
+                diffFields(before, donation, DONATION_LOG_FIELDS));
+        } else {
+            moveToTrash(donation, req);
+            donation.deleteReason = proposal.reason;
+            donation.proposedChange = null;
+            await donation.save();
+
+            await recordDonationRevision(req, donation, 'delete', { before, note });
+            await createLog(req, 'DELETE', 'DONATION', donation._id.toString(),
+                `Approved ${proposal.proposedBy}'s deletion, moved donation to trash: ${donation.donorName} - ₹${donation.amount}` +
+                (proposal.reason ? ` (reason: ${proposal.reason})` : ''));
+        }
+
+        res.json({ message: 'Change applied', donation: await donation.populate('categoryId') });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Discard a proposed edit or deletion (reason required)
+app.put('/api/donations/:id/proposal/reject', requireAuth, requirePermission('canApproveDonation'), async (req, res) => {
+    try {
+        const reason = String(req.body.reason || '').trim().slice(0, 500);
+        if (!reason) return res.status(400).json({ message: 'A reason is required' });
+
+        const donation = await Donation.findOneAndUpdate(
+            { _id: req.params.id, proposedChange: { $ne: null } },
+            { proposedChange: null }
+        );
+        if (!donation) return res.status(404).json({ message: 'No proposed change for this donation' });
+
+        const proposal = donation.proposedChange;
+        await createLog(req, 'REJECT', 'DONATION', donation._id.toString(),
+            `Rejected ${proposal.proposedBy}'s proposed ${proposal.kind === 'edit' ? 'edit to' : 'deletion of'} donation: ` +
+            `${donation.donorName} - ₹${donation.amount} (reason: ${reason})`);
+        res.json({ message: 'Proposed change rejected' });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ==================== RECEIPTS ====================
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Indian financial year (April to March) of a date in Indian time, e.g. '2026-27'
+function financialYearOf(date) {
+    const d = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const start = d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+    return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+// Write the number a counter reserved to its pending donation, or hand it back if
+// that donation can't take it (numbered meanwhile, no longer approved), then free
+// the counter. Safe to run more than once, so any request can finish a reservation
+// left behind by one that failed or crashed.
+async function completeReservedReceipt(counter) {
+    const { _id: year, lastSeq: seq, pending } = counter;
+    const receiptNumber = `${year}/${String(seq).padStart(6, '0')}`;
+    try {
+        await Donation.updateOne(
+            { _id: pending, receiptNumber: null, status: 'approved', ...NOT_DELETED },
+            { receiptNumber, receiptYear: year, receiptSeq: seq, receiptIssuedAt: new Date() }
+        );
+    } catch (error) {
+        if (error.code !== 11000) throw error; // Reservation already finished and the number reused
+    }
+    const taken = await Donation.exists({ _id: pending, receiptNumber });
+    if (!taken) await Donation.updateOne({ _id: pending, receiptNumber: null }, { receiptYear: null }); // Drop the claim
+    await ReceiptCounter.updateOne(
+        { _id: year, pending, lastSeq: seq },
+        taken ? { pending: null } : { pending: null, $inc: { lastSeq: -1 } }
+    );
+}
+
+// Give an approved donation the next receipt number of the financial year it
+// was approved in. The donation is claimed for that year first, then the year's
+// counter is reserved for it, so numbers are never skipped or reused, even with
+// several server processes or a crash halfway. A failed attempt can simply be retried.
+async function assignReceiptNumber(donationId, approvedAt = new Date()) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const donation = await Donation.findById(donationId);
+        if (!donation || donation.receiptNumber || donation.status !== 'approved' || donation.deletedAt) return donation;
+
+        // A retry keeps the year of the first claim
+        const year = donation.receiptYear;
+        if (!year) {
+            await Donation.updateOne({ _id: donation._id, receiptYear: null }, { receiptYear: financialYearOf(approvedAt) });
+            continue;
+        }
+        if (!await ReceiptCounter.exists({ _id: year })) {
+            // First receipt of the year, or the counter was lost: carry on after the highest issued number
+            const lastIssued = await Donation.findOne({ receiptYear: year, receiptSeq: { $ne: null } })
+                .sort({ receiptSeq: -1 }).select('receiptSeq');
+            await ReceiptCounter.updateOne({ _id: year }, { $max: { lastSeq: lastIssued?.receiptSeq || 0 } }, { upsert: true });
+        }
+
+        const reserved = await ReceiptCounter.findOneAndUpdate(
+            { _id: year, pending: null },
+            { $inc: { lastSeq: 1 }, $set: { pending: donation._id } },
+            { new: true }
+        );
+        // Ours, or another donation's still being written: finish it, then look again
+        const counter = reserved || await ReceiptCounter.findById(year);
+        if (counter?.pending) await completeReservedReceipt(counter);
+    }
+    throw new Error('Receipt numbering is busy, try again');
+}
+
+// Numbering never fails the request that approved a donation: one left without a
+// number gets it when its receipt is printed or when the server next starts
+async function tryAssignReceiptNumber(donationId) {
+    try {
+        return await assignReceiptNumber(donationId);
+    } catch (error) {
+        console.error('Error issuing receipt number:', error);
+        return Donation.findById(donationId);
+    }
+}
+
+// Approved donations from before receipt numbers (or whose numbering failed), oldest first
+async function issueMissingReceipts() {
+    for (const counter of await ReceiptCounter.find({ pending: { $ne: null } })) {
+        await completeReservedReceipt(counter);
+    }
+    const missing = await Donation.find({ status: 'approved', receiptNumber: null, ...NOT_DELETED })
+        .sort({ date: 1, createdAt: 1 })
+        .select('_id reviewedAt createdAt');
+    for (const { _id, reviewedAt, createdAt } of missing) {
+        await assignReceiptNumber(_id, reviewedAt || createdAt);
+    }
+    if (missing.length > 0) {
+        console.log(`✅ Issued receipt numbers for ${missing.length} approved donations`);
+    }
+}
+
+const ONES_EN = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS_EN = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// 0-99 in Hindi (irregular, so listed in full)
+const NUMBERS_HI = [
+    'शून्य', 'एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ',
+    'दस', 'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस',
+    'बीस', 'इक्कीस', 'बाईस', 'तेईस', 'चौबीस', 'पच्चीस', 'छब्बीस', 'सत्ताईस', 'अट्ठाईस', 'उनतीस',
+    'तीस', 'इकतीस', 'बत्तीस', 'तैंतीस', 'चौंतीस', 'पैंतीस', 'छत्तीस', 'सैंतीस', 'अड़तीस', 'उनतालीस',
+    'चालीस', 'इकतालीस', 'बयालीस', 'तैंतालीस', 'चवालीस', 'पैंतालीस', 'छियालीस', 'सैंतालीस', 'अड़तालीस', 'उनचास',
+    'पचास', 'इक्यावन', 'बावन', 'तिरेपन', 'चौवन', 'पचपन', 'छप्पन', 'सत्तावन', 'अट्ठावन', 'उनसठ',
+    'साठ', 'इकसठ', 'बासठ', 'तिरेसठ', 'चौंसठ', 'पैंसठ', 'छियासठ', 'सड़सठ', 'अड़सठ', 'उनहत्तर',
+    'सत्तर', 'इकहत्तर', 'बहत्तर', 'तिहत्तर', 'चौहत्तर', 'पचहत्तर', 'छिहत्तर', 'सतहत्तर', 'अठहत्तर', 'उन्यासी',
+    'अस्सी', 'इक्यासी', 'बयासी', 'तिरासी', 'चौरासी', 'पचासी', 'छियासी', 'सत्तासी', 'अट्ठासी', 'नवासी',
+    'नब्बे', 'इक्यानबे', 'बानबे', 'तिरानबे', 'चौरानबे', 'पंचानबे', 'छियानबे', 'सत्तानबे', 'अट्ठानबे', 'निन्यानबे'
+];
+
+// Indian grouping: crore, lakh, thousand, hundred, then 0-99
+function indianNumberParts(n) {
+    return [
+        [Math.floor(n / 10000000), 'crore'],
+        [Math.floor(n / 100000) % 100, 'lakh'],
+        [Math.floor(n / 1000) % 100, 'thousand'],
+        [Math.floor(n / 100) % 10, 'hundred'],
+        [n % 100, '']
+    ].filter(([count]) => count > 0);
+}
+
+function numberToWordsEnglish(n) {
+    if (n === 0) return 'Zero';
+    const below100 = x => (x < 20 ? ONES_EN[x] : `${TENS_EN[Math.floor(x / 10)]} ${ONES_EN[x % 10]}`.trim());
+    const scale = { crore: 'Crore', lakh: 'Lakh', thousand: 'Thousand', hundred: 'Hundred', '': '' };
+    return indianNumberParts(n).map(([count, unit]) =>
+        `${unit === 'crore' && count >= 100 ? numberToWordsEnglish(count) : below100(count)} ${scale[unit]}`.trim()
+    ).join(' ');
+}
+
+function numberToWordsHindi(n) {
+    if (n === 0) return NUMBERS_HI[0];
+    const scale = { crore: 'करोड़', lakh: 'लाख', thousand: 'हज़ार', hundred: 'सौ', '': '' };
+    return indianNumberParts(n).map(([count, unit]) =>
+        `${unit === 'crore' && count >= 100 ? numberToWordsHindi(count) : NUMBERS_HI[count]} ${scale[unit]}`.trim()
+    ).join(' ');
+}
+
+// "Fifty One Thousand Rupees Only" / "इक्यावन हज़ार रुपये मात्र"
+function amountInWords(amount) {
+    const rupees = Math.floor(amount || 0);
+    const paise = Math.round(((amount || 0) - rupees) * 100);
+    return {
+        english: `${numberToWordsEnglish(rupees)} Rupees` + (paise ? ` and ${numberToWordsEnglish(paise)} Paise` : '') + ' Only',
+        hindi: `${numberToWordsHindi(rupees)} रुपये` + (paise ? ` ${numberToWordsHindi(paise)} पैसे` : '') + ' मात्र'
+    };
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Token that proves a receipt number came from a printed receipt, so numbers
+// can't be guessed one after another on the public verify page
+function receiptToken(receiptNumber) {
+    return crypto.createHmac('sha256', RECEIPT_SECRET).update(`receipt:${receiptNumber}`).digest('base64url').slice(0, 22);
+}
+
+function receiptVerifyUrl(req, receiptNumber) {
+    const base = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base}/api/receipts/${encodeURIComponent(receiptNumber)}/verify?t=${receiptToken(receiptNumber)}`;
+}
+
+// 'Ramesh Kumar' -> 'R***** K****' (keeps the first letter with its vowel sign)
+function maskDonorName(name) {
+    return String(name || '').trim().split(/\s+/).map(word => {
+        const [first = ''] = word.match(/^.[\u0900-\u0903\u093A-\u094C\u094E\u094F\u0955-\u0957]*/u) || [];
+        return first + '*'.repeat(Math.max(Array.from(word).length - Array.from(first).length, 1));
+    }).join(' ');
+}
+
+const PAYMENT_MODE_LABELS = {
+    cash: 'Cash', upi: 'UPI', bank_transfer: 'Bank Transfer', cheque: 'Cheque', in_kind: 'In Kind'
+};
+
+// e.g. 'Cheque No. 123456 (pending clearance)'
+function paymentDescription(donation) {
+    const mode = PAYMENT_MODE_LABELS[donation.paymentMode] || PAYMENT_MODE_LABELS.cash;
+    if (donation.paymentMode === 'cheque') {
+        const status = { pending: ' (pending clearance)', bounced: ' (bounced)' }[donation.chequeStatus] || '';
+        return `${mode} No. ${donation.paymentReference}${status}`;
+    }
+    return donation.paymentReference ? `${mode}, Ref. ${donation.paymentReference}` : mode;
+}
+
+// e.g. '50 bags Cement'
+function inKindDescription(donation) {
+    return `${donation.quantity} ${donation.itemUnit} ${donation.itemName}`.replace(/\s+/g, ' ').trim();
+}
+
+function formatReceiptDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+function formatRupees(amount) {
+    return '₹' + Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+}
+
+// Everything printed on a receipt, shared by the HTML and PDF versions.
+// An 80G receipt adds the trust's registration, the donor's PAN and the declaration.
+async function receiptData(req, donation, is80G = false) {
+    const settings = await Settings.findOne();
+    const donor = donation.donorId ? await Donor.findById(donation.donorId) : null;
+    const words = amountInWords(donation.amount);
+    const valueRows = donation.paymentMode === 'in_kind'
+        ? [
+            ['सामग्री / Material', inKindDescription(donation)],
+            ['अनुमानित मूल्य / Estimated value', donation.estimatedValue ? formatRupees(donation.estimatedValue) : '']
+        ]
+        : [
+            ['राशि / Amount', formatRupees(donation.amount)],
+            ['शब्दों में', words.hindi],
+            ['In words', words.english]
+        ];
+    const taxRows = is80G ? [['दानदाता का PAN / Donor PAN', donation.pan || donor?.pan || 'Not provided']] : [];
+    return {
+        templeName: settings?.templeName || '',
+        templeNameEnglish: settings?.templeNameEnglish || '',
+        templeAddress: settings?.templeAddress || '',
+        title: is80G ? 'दान रसीद (धारा 80G) / Donation Receipt u/s 80G' : 'दान रसीद / Donation Receipt',
+        registration: is80G
+            ? `PAN: ${settings.trustPan || '-'} | 80G URN: ${settings.registration80G}` +
+            (settings.registration80GDate ? ` dated ${formatReceiptDate(settings.registration80GDate)}` : '')
+            : '',
+        declaration: is80G
+            ? 'Donations to this trust are eligible for deduction under section 80G of the Income Tax Act, 1961. ' +
+            'Cash donations above ₹2,000 are not eligible.'
+            : '',
+        receiptNumber: donation.receiptNumber,
+        verifyUrl: receiptVerifyUrl(req, donation.receiptNumber),
+        date: formatReceiptDate(donation.date),
+        rows: [
+            ['दानदाता / Donor', donation.donorName],
+            ['पता / Address', donation.donorAddress || donor?.address || ''],
+            ...taxRows,
+            ...valueRows,
+            ['भुगतान / Payment', paymentDescription(donation)],
+            ['टोला / Category', donation.categoryId?.name || ''],
+            ['संग्रहकर्ता / Collector', donation.collectedBy || donation.submittedBy || ''],
+            ['टिप्पणी / Notes', donation.notes || '']
+        ].filter(([, value]) => value)
+    };
+}
+
+function renderReceiptHtml(receipt) {
+    return `<!DOCTYPE html>
+<html lang="hi">
+<head>
+<meta charset="UTF-8">
+<title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+<style>
+    body { font-family: 'Noto Sans Devanagari', 'Segoe UI', sans-serif; color: #222; margin: 0; padding: 2rem; }
+    .receipt { max-width: 640px; margin: 0 auto; border: 2px solid #8b4513; padding: 1.5rem 2rem; }
+    .header { text-align: center; border-bottom: 1px solid #8b4513; padding-bottom: 0.75rem; margin-bottom: 1rem; }
+    .header h1 { margin: 0; font-size: 1.4rem; color: #8b4513; }
+    .header h2 { margin: 0.25rem 0; font-size: 1rem; font-weight: normal; }
+    .meta { display: flex; justify-content: space-between; margin-bottom: 1rem; font-weight: bold; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 0.4rem 0.25rem; border-bottom: 1px dotted #bbb; vertical-align: top; }
+    td:first-child { width: 40%; color: #555; }
+    .declaration { font-size: 0.8rem; margin-top: 1rem; }
+    .signature { margin-top: 2rem; display: flex; justify-content: space-between; align-items: flex-end; }
+    .verify { font-size: 0.7rem; color: #777; text-align: center; }
+    .verify img { width: 96px; height: 96px; display: block; margin: 0 auto; }
+    .footer { margin-top: 1.5rem; font-size: 0.75rem; color: #777; text-align: center; }
+    .actions { text-align: center; margin-top: 1rem; }
+    @media print { .actions { display: none; } body { padding: 0; } }
+</style>
+</head>
+<body>
+<div class="receipt">
+    <div class="header">
+        <h1>${escapeHtml(receipt.templeName)}</h1>
+        <h2>${escapeHtml(receipt.templeNameEnglish)}</h2>
+        <div>${escapeHtml(receipt.templeAddress)}</div>
+        ${receipt.registration ? `<div>${escapeHtml(receipt.registration)}</div>` : ''}
+        <h2><strong>${escapeHtml(receipt.title)}</strong></h2>
+    </div>
+    <div class="meta">
+        <span>रसीद संख्या / Receipt No.: ${escapeHtml(receipt.receiptNumber)}</span>
+        <span>दिनांक / Date: ${escapeHtml(receipt.date)}</span>
+    </div>
+    <table>
+        ${receipt.rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n        ')}
+    </table>
+    ${receipt.declaration ? `<p class="declaration">${escapeHtml(receipt.declaration)}</p>` : ''}
+    <div class="signature">
+        <div class="verify"><img src="${receipt.qrDataUrl}" alt="Verify receipt">स्कैन कर सत्यापित करें / Scan to verify</div>
+        <div>____________________<br>अधिकृत हस्ताक्षर / Authorised Signatory</div>
+    </div>
+    <div class="footer">यह कंप्यूटर द्वारा बनाई गई रसीद है / This is a computer generated receipt</div>
+</div>
+<div class="actions"><button onclick="window.print()">🖨️ Print</button></div>
+</body>
+</html>`;
+}
+
+const RECEIPT_FONT = path.join(__dirname, 'node_modules', '@fontsource', 'noto-sans-devanagari', 'files',
+    'noto-sans-devanagari-devanagari-400-normal.woff');
+
+// Write text, switching to the Devanagari font for Hindi runs (Helvetica has no
+// Devanagari, the Devanagari font has no Latin letters)
+function writePdfText(doc, text, options = {}) {
+    const runs = String(text).match(/[\u0900-\u097F\u20B9\u200C\u200D]+|[^\u0900-\u097F\u20B9\u200C\u200D]+/g) || [''];
+    runs.forEach((run, index) => {
+        doc.font(/[\u0900-\u097F\u20B9]/.test(run) ? 'Devanagari' : 'Helvetica')
+            .text(run, { ...options, continued: index < runs.length - 1 });
+    });
+}
+
+function renderReceiptPdf(receipt, qrPng, res) {
+    const doc = new PDFDocument({ size: 'A5', margin: 36 });
+    doc.registerFont('Devanagari', RECEIPT_FONT);
+    doc.pipe(res);
+
+    const width = doc.page.width - 72;
+    doc.rect(24, 24, doc.page.width - 48, doc.page.height - 48).strokeColor('#8b4513').lineWidth(2).stroke();
+
+    doc.fillColor('#8b4513').fontSize(16);
+    writePdfText(doc, receipt.templeName, { align: 'center', width });
+    doc.fillColor('#222').fontSize(11);
+    writePdfText(doc, receipt.templeNameEnglish, { align: 'center', width });
+    writePdfText(doc, receipt.templeAddress, { align: 'center', width });
+    if (receipt.registration) writePdfText(doc, receipt.registration, { align: 'center', width });
+    doc.moveDown(0.5).fontSize(13);
+    writePdfText(doc, receipt.title, { align: 'center', width });
+    doc.moveDown(0.75).fontSize(10);
+    writePdfText(doc, `Receipt No.: ${receipt.receiptNumber}    Date: ${receipt.date}`, { width });
+    doc.moveDown(0.5);
+
+    receipt.rows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.fillColor('#555');
+        writePdfText(doc, label, { width: width * 0.38 });
+        const labelBottom = doc.y;
+        doc.fillColor('#222');
+        doc.y = y;
+        writePdfText(doc, value, { width: width * 0.6, indent: 0 });
+        doc.y = Math.max(doc.y, labelBottom) + 4;
+        doc.x = 36;
+    });
+
+    if (receipt.declaration) {
+        doc.moveDown(0.5).fontSize(8);
+        writePdfText(doc, receipt.declaration, { width });
+    }
+    doc.moveDown(1);
+    const qrTop = doc.y;
+    doc.image(qrPng, 36, qrTop, { width: 72 });
+    doc.fontSize(7).fillColor('#777');
+    writePdfText(doc, 'Scan to verify', { width: 72, align: 'center' });
+    doc.fillColor('#222').fontSize(10);
+    doc.y = qrTop + 40;
+    writePdfText(doc, '____________________', { align: 'right', width });
+    writePdfText(doc, 'अधिकृत हस्ताक्षर / Authorised Signatory', { align: 'right', width });
+    doc.x = 36;
+    doc.y = Math.max(doc.y, qrTop + 84);
+    doc.moveDown(1).fontSize(8).fillColor('#777');
+    writePdfText(doc, 'यह कंप्यूटर द्वारा बनाई गई रसीद है / This is a computer generated receipt', { align: 'center', width });
+    doc.end();
+}
+
+// Printable receipt of an approved donation: /receipt (HTML) or /receipt.pdf,
+// with ?type=80g for the tax-exemption version
+app.get(['/api/donations/:id/receipt', '/api/donations/:id/receipt.pdf'], requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!['canAddDonation', 'canEditDonation', 'canApproveDonation', 'canExportData']
+            .some(flag => hasPermission(req.account, flag))) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
+        }
+
+        let donation = await Donation.findOne({ _id: req.params.id, ...NOT_DELETED });
+        if (!donation) return res.status(404).json({ message: 'Donation not found' });
+        if (!canAccessCategory(req, donation.categoryId)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+        if (donation.status !== 'approved') {
+            return res.status(400).json({ message: 'Receipts are issued once a donation is approved' });
+        }
+        const is80G = req.query.type === '80g';
+        if (is80G && !(await Settings.findOne())?.registration80G) {
+            return res.status(400).json({ message: "Enter the trust's 80G registration number in settings first" });
+        }
+        if (!donation.receiptNumber) { // Numbering failed on approval
+            donation = await assignReceiptNumber(donation._id, donation.reviewedAt || donation.createdAt);
+        }
+        await donation.populate('categoryId');
+
+        const receipt = await receiptData(req, donation, is80G);
+        const asPdf = req.path.endsWith('.pdf');
+        await createLog(req, 'PRINT', 'DONATION', donation._id.toString(),
+            `Printed ${is80G ? '80G ' : ''}receipt ${donation.receiptNumber} (${asPdf ? 'PDF' : 'HTML'}): ${donation.donorName} - ₹${donation.amount}`);
+
+        const fileName = `receipt-${donation.receiptNumber.replace('/', '-')}`;
+        if (asPdf) {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+            renderReceiptPdf(receipt, await QRCode.toBuffer(receipt.verifyUrl, { margin: 1 }), res);
+        } else {
+            receipt.qrDataUrl = await QRCode.toDataURL(receipt.verifyUrl, { margin: 1 });
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.send(renderReceiptHtml(receipt));
+        }
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+function renderVerifyPage(title, color, lines) {
+    return `<!DOCTYPE html>
+<html lang="hi">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: 'Noto Sans Devanagari', 'Segoe UI', sans-serif; background: #fdf6ec; color: #222; margin: 0; padding: 1.5rem; }
+    .card { max-width: 420px; margin: 2rem auto; background: #fff; border-top: 6px solid ${color}; border-radius: 12px; padding: 1.5rem; box-shadow: 0 2px 12px rgba(0,0,0,0.1); }
+    h1 { font-size: 1.2rem; color: ${color}; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 0.4rem 0; border-bottom: 1px dotted #ddd; }
+    td:first-child { color: #666; }
+</style>
+</head>
+<body>
+<div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    <table>
+        ${lines.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n        ')}
+    </table>
+</div>
+</body>
+</html>`;
+}
+
+// Public check of a printed receipt (the link in its QR code). Needs the token
+// from the QR code and shows only that receipt, with the donor name masked.
+app.get('/api/receipts/:number/verify', async (req, res) => {
+    try {
+        const receiptNumber = req.params.number;
+        const expected = Buffer.from(receiptToken(receiptNumber));
+        const given = Buffer.from(String(req.query.t || ''));
+        const tokenValid = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+
+        const donation = tokenValid ? await Donation.findOne({ receiptNumber }) : null;
+        const settings = await Settings.findOne();
+        const templeName = settings?.templeName || settings?.templeNameEnglish || '';
+
+        let result;
+        if (!tokenValid) {
+            result = { status: 'invalid', title: '❌ रसीद सत्यापित नहीं हो सकी / Receipt could not be verified' };
+        } else if (!donation || donation.deletedAt || donation.status !== 'approved') {
+            // The number was issued by us but the donation has since been removed
+            result = { status: 'cancelled', title: '⚠️ यह रसीद रद्द की गई है / This receipt has been cancelled' };
+        } else {
+            result = {
+                status: 'valid',
+                title: '✅ रसीद सत्यापित / Receipt verified',
+                donorName: donation.privacy === 'anonymous' ? ANONYMOUS_DONOR_NAME : maskDonorName(donation.donorName),
+                amount: donation.amount,
+                inKind: donation.paymentMode === 'in_kind' ? inKindDescription(donation) : undefined,
+                date: donation.date
+            };
+        }
+
+        if (req.accepts(['html', 'json']) === 'json') {
+            const { title, ...body } = result;
+            return res.status(tokenValid ? 200 : 404).json({ receiptNumber, templeName, ...body });
+        }
+
+        const lines = [['संस्था / Organisation', templeName], ['रसीद संख्या / Receipt No.', receiptNumber]];
+        if (result.status === 'valid') {
+            lines.push(
+                ['दानदाता / Donor', result.donorName],
+                result.inKind ? ['सामग्री / Material', result.inKind] : ['राशि / Amount', formatRupees(result.amount)],
+                ['दिनांक / Date', formatReceiptDate(result.date)]
+            );
+        }
+        const color = { valid: '#2e7d32', cancelled: '#e65100', invalid: '#c62828' }[result.status];
+        res.status(tokenValid ? 200 : 404).type('html').send(renderVerifyPage(result.title, color, lines));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ==================== 80G / FORM 10BD ====================
+
+// Full donation (including PAN and address, which the public list leaves out) for the edit form
+app.get('/api/donations/:id', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!['canAddDonation', 'canEditDonation', 'canApproveDonation']
+            .some(flag => hasPermission(req.account, flag))) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Donation not found' });
+
+        const donation = await Donation.findOne({ _id: req.params.id, ...NOT_DELETED }).populate('categoryId');
+        if (!donation) return res.status(404).json({ message: 'Donation not found' });
+        if (!canAccessCategory(req, donation.categoryId?._id)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+        res.json(donation);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Copy a PAN / address given with a donation to the donor profile when it has none yet
+async function fillDonorTaxDetails(donation) {
+    if (!donation.donorId || (!donation.pan && !donation.donorAddress)) return;
+    const donor = await Donor.findById(donation.donorId?._id || donation.donorId);
+    if (!donor) return;
+
+    const before = donor.toObject();
+    if (donation.pan && !donor.pan) donor.pan = donation.pan;
+    if (donation.donorAddress && !donor.address) donor.address = donation.donorAddress;
+    if (donor.pan !== before.pan || donor.address !== before.address) await donor.save();
+}
+
+// Column layout of the Form 10BD donor statement upload
+const FORM_10BD_COLUMNS = [
+    'Sr. No.', 'Pre Acknowledgement Number', 'ID Code', 'Unique Identification Number', 'Section Code',
+    'Unique Registration Number (URN)', 'Date of Issuance of Unique Registration Number', 'Name of donor',
+    'Address of donor', 'Donation Type', 'Mode of receipt', 'Amount of donation (Indian rupees)'
+];
+
+// Mode of receipt as named in Form 10BD
+function form10BDMode(donation) {
+    if (donation.paymentMode === 'in_kind') return 'Kind';
+    if (['upi', 'bank_transfer', 'cheque'].includes(donation.paymentMode)) {
+        return 'Electronic modes including account payee cheque/draft';
+    }
+    return 'Cash';
+}
+
+// Form 10BD statement for a financial year (?year=2026-27, default the current one):
+// approved donations with a PAN, one row per donor and mode of receipt. Bounced cheques are left out.
+app.get('/api/reports/form-10bd', requireAuth, requirePermission('canExportData'), async (req, res) => {
+    try {
+        const year = String(req.query.year || financialYearOf(new Date()));
+        const match = /^(\d{4})-(\d{2})$/.exec(year);
+        if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+            return res.status(400).json({ message: 'Financial year must look like 2026-27' });
+        }
+        const settings = await Settings.findOne();
+        if (!settings?.registration80G) {
+            return res.status(400).json({ message: "Enter the trust's 80G registration number in settings first" });
+        }
+
+        const startYear = Number(match[1]);
+        const donations = await Donation.find({
+            ...NOT_DELETED,
+            status: 'approved',
+            chequeStatus: { $ne: 'bounced' },
+            date: { $gte: new Date(Date.UTC(startYear, 3, 1)), $lt: new Date(Date.UTC(startYear + 1, 3, 1)) }
+        }).populate('donorId').sort({ date: 1 });
+
+        const rows = new Map();
+        let withoutPan = 0;
+        donations.forEach(donation => {
+            const donor = donation.donorId;
+            const pan = donation.pan || donor?.pan;
+            if (!pan) {
+                withoutPan++;
+                return;
+            }
+            const mode = form10BDMode(donation);
+            const key = `${pan}|${mode}`;
+            const row = rows.get(key) || {
+                pan,
+                mode,
+                name: donor?.nameEnglish || donation.donorName, // The income tax portal expects English
+                address: donation.donorAddress || donor?.address || '',
+                amount: 0
+            };
+            row.amount += (donation.paymentMode === 'in_kind' ? donation.estimatedValue : donation.amount) || 0;
+            rows.set(key, row);
+        });
+
+        const urnDate = settings.registration80GDate ? formatReceiptDate(settings.registration80GDate).replace(/\//g, '-') : '';
+        const lines = [...rows.values()].map((row, index) => [
+            index + 1, '', 'Permanent Account Number', row.pan, 'Section 80G', settings.registration80G, urnDate,
+            row.name, row.address.replace(/\s*\n\s*/g, ', '), 'Others', row.mode, row.amount
+        ].map(csvCell).join(','));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="form-10bd-${year}.csv"`);
+        res.setHeader('X-Donations-Without-Pan', String(withoutPan));
+        res.send('\uFEFF' + [FORM_10BD_COLUMNS.map(csvCell).join(','), ...lines].join('\r\n') + '\r\n');
+
+        await createLog(req, 'EXPORT', 'DONATION', null,
+            `Exported Form 10BD for ${year}: ${rows.size} rows` +
+            (withoutPan ? `, ${withoutPan} donations left out for missing PAN` : ''));
+    } catch (error) {
+        if (res.headersSent) return;
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ==================== DONATION HISTORY ====================
+
+// Revision timeline of a donation, newest first (also for trashed or purged donations)
+app.get('/api/donations/:id/history', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!['canEditDonation', 'canApproveDonation', 'canViewLogs'].some(flag => hasPermission(req.account, flag))) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
+        }
+
+        const donation = await Donation.findById(req.params.id).populate('categoryId');
+        const revisions = await DonationRevision.find({ donationId: req.params.id }).sort({ revision: -1 });
+        if (!donation && revisions.length === 0) {
+            return res.status(404).json({ message: 'Donation not found' });
+        }
+        const categoryId = donation?.categoryId || revisions[0].snapshot.categoryId;
+        if (!canAccessCategory(req, categoryId)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+
+        res.json({ donation, revisions });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Put a donation back to how it was at an earlier revision (recorded as a new revision)
+app.post('/api/donations/:id/revert', requireAuth, requirePermission('canApproveDonation'), async (req, res) => {
+    try {
+        const donation = await Donation.findOne({ _id: req.params.id, ...NOT_DELETED });
+        if (!donation) return res.status(404).json({ message: 'Donation not found (restore it from the trash first)' });
+
+        const target = await DonationRevision.findOne({ donationId: donation._id, revision: req.body.revision });
+        if (!target) return res.status(404).json({ message: 'Revision not found' });
+        if (!await Category.exists({ _id: target.snapshot.categoryId, ...NOT_DELETED })) {
+            return res.status(400).json({ message: 'The category of that revision no longer exists' });
+        }
+        const statusError = receiptBlocksStatus(donation, target.snapshot.status);
+        if (statusError) return res.status(400).json({ message: statusError });
+
+        const before = donation.toObject();
+        DONATION_LOG_FIELDS.forEach(field => {
+            // Older snapshots don't have every field
+            if (target.snapshot[field] !== undefined) donation[field] = target.snapshot[field];
+        });
+        donation.donorId = await resolveDonorId(donation.donorId, donation.donorName, donation.categoryId);
+        await donation.save();
+        await tryAssignReceiptNumber(donation._id);
+
+        const changes = diffFields(before, donation, DONATION_LOG_FIELDS);
+        await createLog(req, 'EDIT', 'DONATION', donation._id.toString(),
+            `Reverted donation to revision ${target.revision}: ${donation.donorName} - ₹${donation.amount}`, changes);
+        await recordDonationRevision(req, donation, 'revert', { note: `Reverted to revision ${target.revision}` });
+
+        res.json(await Donation.findById(donation._id).populate('categoryId'));
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ==================== DONORS ====================
+
+// Honorifics dropped when matching names ("श्री मोहन लाल" = "मोहन लाल")
+const NAME_HONORIFICS = ['श्री', 'श्रीमती', 'सुश्री', 'स्व', 'स्व.', 'डॉ', 'डॉ.', 'shri', 'shree', 'sri', 'smt', 'mr', 'mrs', 'ms', 'dr', 'late'];
+
+function normalizeDonorName(name) {
+    const words = String(name || '').toLowerCase().replace(/[.,]/g, ' ').split(/\s+/).filter(Boolean);
+    while (words.length > 1 && NAME_HONORIFICS.includes(words[0])) words.shift();
+    return words.join(' ');
+}
+
+function donorDisplayName(donor) {
+    return donor.nameHindi || donor.nameEnglish;
+}
+
+const DONOR_FIELDS = ['nameHindi', 'nameEnglish', 'phone', 'pan', 'address', 'family', 'gotra', 'categoryId', 'notes'];
+
+function pickDonorFields(body) {
+    const data = {};
+    DONOR_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    if (data.categoryId === '') data.categoryId = null;
+    return data;
+}
+
+// The donor a donation belongs to: the chosen profile (following merges), else a
+// donor with the same name in the same category, else a new profile
+async function resolveDonorId(donorId, donorName, categoryId) {
+    if (donorId) {
+        let donor = await Donor.findById(donorId);
+        if (!donor) throw new Error('Donor not found');
+        while (donor.mergedInto) donor = await Donor.findById(donor.mergedInto);
+        return donor._id;
+    }
+
+    const nameKey = normalizeDonorName(donorName);
+    const existing = await Donor.findOne({ nameKeys: nameKey, categoryId, mergedInto: null });
+    if (existing) return existing._id;
+
+    const name = String(donorName).trim();
+    const isHindi = /[ऀ-ॿ]/.test(name);
+    const donor = await Donor.create({
+        nameHindi: isHindi ? name : '',
+        nameEnglish: isHindi ? '' : name,
+        categoryId
+    });
+    return donor._id;
+}
+
+// Donations entered before donor profiles existed: one donor per name + category
+async function linkLegacyDonations() {
+    const unlinked = await Donation.find({ donorId: null }).sort({ createdAt: 1 });
+    for (const donation of unlinked) {
+        const donorId = await resolveDonorId(null, donation.donorName, donation.categoryId);
+        await Donation.updateOne({ _id: donation._id }, { donorId });
+    }
+    if (unlinked.length > 0) {
+        console.log(`✅ Linked ${unlinked.length} donations to donor profiles`);
+    }
+}
+
+// Lifetime totals of approved donations: donorId -> { total, count, firstDate, lastDate }
+async function donorTotals(donorIds) {
+    const rows = await Donation.aggregate([
+        { $match: { donorId: { $in: donorIds }, status: 'approved', ...NOT_DELETED } },
+        {
+            $group: {
+                _id: '$donorId',
+                total: { $sum: '$amount' },
+                count: { $sum: 1 },
+                firstDate: { $min: '$date' },
+                lastDate: { $max: '$date' }
+            }
+        }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row]));
+}
+
+async function withTotals(donors) {
+    const totals = await donorTotals(donors.map(donor => donor._id));
+    return donors.map(donor => ({
+        ...donor,
+        totals: totals.get(donor._id.toString()) || { total: 0, count: 0, firstDate: null, lastDate: null }
+    }));
+}
+
+// Edit distance, used to spot spelling variants ("Ramesh" / "Ramesa")
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function phoneKey(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+// Donors who are probably the same person: same name (any category), same
+// phone number, or names at most two letters apart
+function findDuplicateDonors(donors) {
+    const parent = donors.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const reasons = new Map();
+    const link = (i, j, reason) => {
+        const root = find(i);
+        parent[find(j)] = root;
+        [i, j].forEach(index => {
+            if (!reasons.has(index)) reasons.set(index, new Set());
+            reasons.get(index).add(reason);
+        });
+    };
+
+    for (let i = 0; i < donors.length; i++) {
+        for (let j = i + 1; j < donors.length; j++) {
+            const a = donors[i];
+            const b = donors[j];
+            if (a.nameKeys.some(key => b.nameKeys.includes(key))) {
+                link(i, j, 'Same name');
+            } else if (phoneKey(a.phone) && phoneKey(a.phone) === phoneKey(b.phone)) {
+                link(i, j, 'Same phone');
+            } else if (a.nameKeys.some(x => b.nameKeys.some(y =>
+                Math.min(x.length, y.length) >= 5 && Math.abs(x.length - y.length) <= 2 && levenshtein(x, y) <= 2))) {
+                link(i, j, 'Similar name');
+            }
+        }
+    }
+
+    const groups = new Map();
+    donors.forEach((donor, i) => {
+        if (!reasons.has(i)) return;
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, { reasons: new Set(), donors: [] });
+        const group = groups.get(root);
+        group.donors.push(donor);
+        reasons.get(i).forEach(reason => group.reasons.add(reason));
+    });
+    return [...groups.values()].map(group => ({ reasons: [...group.reasons], donors: group.donors }));
+}
+
+function canLookUpDonors(account) {
+    return ['canAddDonation', 'canEditDonation', 'canManageDonors'].some(flag => hasPermission(account, flag));
+}
+
+// Collectors with assigned categories only see donors from those categories (or without one)
+function canSeeDonor(req, donor) {
+    return !donor.categoryId || canAccessCategory(req, donor.categoryId);
+}
+
+// List donors with lifetime totals (?q= searches names and phone)
+app.get('/api/donors', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!canLookUpDonors(req.account)) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
+        }
+
+        const query = { mergedInto: null };
+        if (req.query.q) {
+            const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+            query.$or = [{ nameHindi: pattern }, { nameEnglish: pattern }, { phone: pattern }];
+        }
+        const donors = await Donor.find(query).populate('categoryId').sort({ nameEnglish: 1, nameHindi: 1 }).lean();
+        res.json(await withTotals(donors.filter(donor => canSeeDonor(req, donor))));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Groups of donors that look like the same person
+app.get('/api/donors/duplicates', requireAuth, requirePermission('canManageDonors'), async (req, res) => {
+    try {
+        const donors = await Donor.find({ mergedInto: null }).populate('categoryId').lean();
+        const groups = findDuplicateDonors(donors);
+        for (const group of groups) {
+            group.donors = await withTotals(group.donors);
+        }
+        res.json(groups);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Donor profile: details, donations and lifetime totals (a merged donor shows the donor it was merged into)
+app.get('/api/donors/:id', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!canLookUpDonors(req.account)) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
+        }
+
+        let donor = await Donor.findById(req.params.id);
+        if (!donor) return res.status(404).json({ message: 'Donor not found' });
+        while (donor.mergedInto) donor = await Donor.findById(donor.mergedInto);
+        if (!canSeeDonor(req, donor)) {
+            return res.status(403).json({ message: 'This donor is not in your assigned categories' });
+        }
+        await donor.populate('categoryId');
+
+        // Only donations and pledges from categories the account may see
+        const donations = (await Donation.find({ donorId: donor._id, ...NOT_DELETED })
+            .populate('categoryId')
+            .sort({ date: -1 }))
+            .filter(donation => canAccessCategory(req, donation.categoryId));
+        const approved = donations.filter(donation => donation.status === 'approved');
+        const byCategory = {};
+        approved.forEach(donation => {
+            const name = donation.categoryId?.name || 'Unknown';
+            byCategory[name] = byCategory[name] || { category: name, total: 0, count: 0 };
+            byCategory[name].total += donation.amount || 0;
+            byCategory[name].count++;
+        });
+        const mergedDonors = await Donor.find({ mergedInto: donor._id }).select('nameHindi nameEnglish mergedAt mergedBy');
+        const pledges = await withPledgeBalances(
+            (await Pledge.find({ donorId: donor._id }).populate('categoryId').sort({ createdAt: -1 }).lean())
+                .filter(pledge => canSeePledge(req, pledge)));
+
+        res.json({
+            donor,
+            donations,
+            mergedDonors,
+            pledges,
+            totals: {
+                total: approved.reduce((sum, donation) => sum + (donation.amount || 0), 0),
+                count: approved.length,
+                firstDate: approved.length ? approved[approved.length - 1].date : null,
+                lastDate: approved.length ? approved[0].date : null,
+                byCategory: Object.values(byCategory)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Create donor profile
+app.post('/api/donors', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!canLookUpDonors(req.account)) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
+        }
+
+        const donor = await Donor.create(pickDonorFields(req.body));
+        await createLog(req, 'ADD', 'DONOR', donor._id.toString(), `Added donor: ${donorDisplayName(donor)}`);
+        res.status(201).json(await donor.populate('categoryId'));
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Update donor profile
+app.put('/api/donors/:id', requireAuth, requirePermission('canManageDonors'), async (req, res) => {
+    try {
+        const donor = await Donor.findOne({ _id: req.params.id, mergedInto: null });
+        if (!donor) return res.status(404).json({ message: 'Donor not found' });
+
+        const before = donor.toObject();
+        donor.set(pickDonorFields(req.body));
+        await donor.save();
+
+        await createLog(req, 'EDIT', 'DONOR', donor._id.toString(), `Edited donor: ${donorDisplayName(donor)}`,
+            diffFields(before, donor, DONOR_FIELDS));
+        res.json(await donor.populate('categoryId'));
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Merge duplicate donors: { targetId, sourceIds }. Donations move to the target,
+// empty target fields are filled from the sources, and the sources are marked merged.
+app.post('/api/donors/merge', requireAuth, requirePermission('canManageDonors'), async (req, res) => {
+    try {
+        const { targetId } = req.body;
+        const sourceIds = [...new Set((req.body.sourceIds || []).map(String))].filter(id => id !== String(targetId));
+        if (!targetId || sourceIds.length === 0) {
+            return res.status(400).json({ message: 'Choose the donor to keep and at least one donor to merge into it' });
+        }
+
+        const target = await Donor.findOne({ _id: targetId, mergedInto: null });
+        const sources = await Donor.find({ _id: { $in: sourceIds }, mergedInto: null });
+        if (!target || sources.length !== sourceIds.length) {
+            return res.status(400).json({ message: 'Some donors were not found or are already merged' });
+        }
+
+        const before = target.toObject();
+        DONOR_FIELDS.forEach(field => {
+            if (target[field]) return;
+            const source = sources.find(donor => donor[field]);
+            if (source) target[field] = source[field];
+        });
+        await target.save();
+
+        const donations = await Donation.find({ donorId: { $in: sourceIds } });
+        for (const donation of donations) {
+            const donationBefore = donation.toObject();
+            donation.donorId = target._id;
+            await donation.save();
+            await recordDonationRevision(req, donation, 'merge', {
+                before: donationBefore,
+                note: `Donor merged into ${donorDisplayName(target)}`
+            });
+        }
+
+        const pledges = await Pledge.updateMany({ donorId: { $in: sourceIds } }, { donorId: target._id });
+        await Donor.updateMany(
+            { _id: { $in: sourceIds } },
+            { mergedInto: target._id, mergedAt: new Date(), mergedBy: req.user.username }
+        );
+
+        await createLog(req, 'MERGE', 'DONOR', target._id.toString(),
+            `Merged donors ${sources.map(donorDisplayName).join(', ')} into ${donorDisplayName(target)} ` +
+            `(${donations.length} donations, ${pledges.modifiedCount} pledges moved)`,
+            [
+                ...diffFields(before, target, DONOR_FIELDS),
+                { field: 'mergedDonors', old: null, new: sources.map(donor => donor._id.toString()) }
+            ]);
+
+        res.json({ donor: await target.populate('categoryId'), moved: donations.length });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// ==================== PLEDGES ====================
+
+// Donations count towards a pledge once approved; bounced cheques don't
+const PLEDGE_PAID_MATCH = { status: 'approved', chequeStatus: { $ne: 'bounced' }, ...NOT_DELETED };
+
+const PLEDGE_FIELDS = ['donorId', 'amount', 'dueDate', 'categoryId', 'notes'];
+
+function pickPledgeFields(body) {
+    const data = {};
+    PLEDGE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    if (data.categoryId === '') data.categoryId = null;
+    if (data.dueDate === '') data.dueDate = null;
+    return data;
+}
+
+// Adds paid, outstanding and overdue amounts to plain pledge objects
+async function withPledgeBalances(pledges) {
+    const rows = await Donation.aggregate([
+        { $match: { pledgeId: { $in: pledges.map(pledge => pledge._id) }, ...PLEDGE_PAID_MATCH } },
+        { $group: { _id: '$pledgeId', paid: { $sum: '$amount' }, instalments: { $sum: 1 } } }
+    ]);
+    const paidByPledge = new Map(rows.map(row => [row._id.toString(), row]));
+    const now = new Date();
+
+    return pledges.map(pledge => {
+        const { paid = 0, instalments = 0 } = paidByPledge.get(pledge._id.toString()) || {};
+        const outstanding = pledge.cancelledAt ? 0 : Math.max(pledge.amount - paid, 0);
+        const overdue = !!pledge.dueDate && pledge.dueDate < now && outstanding > 0;
+        return {
+            ...pledge,
+            paid,
+            instalments,
+            outstanding,
+            overdueAmount: overdue ? outstanding : 0,
+            status: pledge.cancelledAt ? 'cancelled' : outstanding === 0 ? 'fulfilled' : overdue ? 'overdue' : 'open'
+        };
+    });
+}
+
+// The pledge a donation is applied to; the donation then belongs to the pledge's donor
+async function pledgeForDonation(pledgeId) {
+    if (!pledgeId) return null;
+    const pledge = mongoose.isValidObjectId(pledgeId)
+        ? await Pledge.findOne({ _id: pledgeId, cancelledAt: null })
+        : null;
+    if (!pledge) throw new Error('Pledge not found or cancelled');
+    return pledge;
+}
+
+function canSeePledge(req, pledge) {
+    return !pledge.categoryId || canAccessCategory(req, pledge.categoryId._id || pledge.categoryId);
+}
+
+// Open pledges with balances (?donorId= for one donor, ?all=true to include fulfilled and cancelled)
+app.get('/api/pledges', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        if (!canLookUpDonors(req.account)) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
         }
 
-        // Check sub-admins
-        const subAdmin = await SubAdmin.findOne({ username });
-        if (subAdmin) {
-            const isMatch = await bcrypt.compare(password, subAdmin.password);
-            if (isMatch) {
-                await createLog(req, 'LOGIN', 'AUTH', subAdmin._id.toString(), `Sub-admin '${username}' logged in`);
-                return res.json({
-                    success: true,
-                    user: {
-                        type: 'subadmin',
-                        id: subAdmin._id,
-                        username: subAdmin.username,
-                        permissions: subAdmin.permissions
-                    }
-                });
+        const query = {};
+        if (req.query.donorId) {
+            if (typeof req.query.donorId !== 'string' || !mongoose.isValidObjectId(req.query.donorId)) {
+                return res.status(400).json({ message: 'Invalid donor ID' });
             }
+            query.donorId = req.query.donorId;
         }
+        if (req.query.all !== 'true') query.cancelledAt = null;
+        const pledges = await Pledge.find(query)
+            .populate('donorId', 'nameHindi nameEnglish phone')
+            .populate('categoryId')
+            .sort({ dueDate: 1, createdAt: 1 })
+            .lean();
 
-        await createLog(req, 'LOGIN_FAILED', 'AUTH', null, `Failed login attempt for '${username}'`);
-        res.status(401).json({ success: false, message: 'Invalid credentials' });
+        let result = await withPledgeBalances(pledges.filter(pledge => canSeePledge(req, pledge)));
+        if (req.query.all !== 'true') result = result.filter(pledge => pledge.outstanding > 0);
+        res.json(result);
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(500).json({ message: error.message });
     }
 });
 
-// ==================== DONATIONS ROUTES ====================
-
-// Get all donations (filter by status)
-app.get('/api/donations', async (req, res) => {
+// Pledges due: every pledge with money outstanding, the most overdue first
+app.get('/api/pledges/due', requireAuth, requirePermission('canManageDonors'), async (req, res) => {
     try {
-        const { status } = req.query;
-        const query = {};
-        if (status) {
-            query.status = status;
-        }
+        const pledges = await Pledge.find({ cancelledAt: null })
+            .populate('donorId', 'nameHindi nameEnglish phone')
+            .populate('categoryId')
+            .lean();
+        const dueTime = pledge => (pledge.dueDate ? pledge.dueDate.getTime() : Number.MAX_SAFE_INTEGER);
+        const due = (await withPledgeBalances(pledges.filter(pledge => canSeePledge(req, pledge))))
+            .filter(pledge => pledge.outstanding > 0)
+            .sort((a, b) => b.overdueAmount - a.overdueAmount || dueTime(a) - dueTime(b) || b.outstanding - a.outstanding);
 
-        const donations = await Donation.find(query).populate('categoryId').sort({ date: -1 });
-        res.json(donations);
+        res.json({
+            pledges: due,
+            totals: {
+                outstanding: due.reduce((sum, pledge) => sum + pledge.outstanding, 0),
+                overdue: due.reduce((sum, pledge) => sum + pledge.overdueAmount, 0)
+            }
+        });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// Create donation
-app.post('/api/donations', async (req, res) => {
+// Record a pledge: { donorId, amount, dueDate, categoryId, notes }
+app.post('/api/pledges', requireAuth, requirePermission('canManageDonors'), async (req, res) => {
     try {
-        const userType = req.headers['x-user-type'] || 'admin';
-        const donationData = { ...req.body };
-
-        // Sub-admins create pending donations by default
-        if (userType === 'subadmin') {
-            donationData.status = 'pending';
-            // Sub-admins MUST provide amount and date if they are entering data
-            // However, user said if they enter amount, then date is required.
-            // Let's enforce that if amount > 0, date should probably be set, but schema has default Date.now
-            // The constraint was: "subadmin se agar daale toh date required hoga"
-            if (!req.body.amount || !req.body.date) {
-                return res.status(400).json({ message: "Amount and Date are required for Sub-admins" });
-            }
-        } else {
-            donationData.status = 'approved';
+        const data = pickPledgeFields(req.body);
+        if (data.categoryId && !canAccessCategory(req, data.categoryId)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
         }
+        const donor = data.donorId && mongoose.isValidObjectId(data.donorId)
+            ? await Donor.findOne({ _id: data.donorId, mergedInto: null })
+            : null;
+        if (!donor) return res.status(400).json({ message: 'Choose the donor who made the pledge' });
 
-        const donation = new Donation(donationData);
-        await donation.save();
+        const pledge = await Pledge.create({ ...data, categoryId: data.categoryId || donor.categoryId, createdBy: req.user.username });
+        await createLog(req, 'ADD', 'PLEDGE', pledge._id.toString(),
+            `Added pledge: ${donorDisplayName(donor)} - ₹${pledge.amount}` +
+            (pledge.dueDate ? ` due ${pledge.dueDate.toISOString().split('T')[0]}` : ''));
+        res.status(201).json(pledge);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
 
-        const populated = await Donation.findById(donation._id).populate('categoryId');
+// Update a pledge (amount, due date, category, notes)
+app.put('/api/pledges/:id', requireAuth, requirePermission('canManageDonors'), async (req, res) => {
+    try {
+        const pledge = await Pledge.findOne({ _id: req.params.id, cancelledAt: null });
+        if (!pledge) return res.status(404).json({ message: 'Pledge not found' });
+        const data = pickPledgeFields(req.body);
+        delete data.donorId; // Moves between donors only through a donor merge
+        if (!canSeePledge(req, pledge) || (data.categoryId && !canAccessCategory(req, data.categoryId))) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
 
-        await createLog(req, 'ADD', 'DONATION', donation._id.toString(),
-            `Added donation (${donationData.status}): ${req.body.donorName} - ₹${req.body.amount}`);
+        const before = pledge.toObject();
+        pledge.set(data);
+        await pledge.save();
 
-        res.status(201).json(populated);
+        await createLog(req, 'EDIT', 'PLEDGE', pledge._id.toString(), `Edited pledge of ₹${pledge.amount}`,
+            diffFields(before, pledge, PLEDGE_FIELDS));
+        res.json(pledge);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// Update donation
-app.put('/api/donations/:id', async (req, res) => {
+// Cancel a pledge (kept for the record; donations already applied stay linked)
+app.delete('/api/pledges/:id', requireAuth, requirePermission('canManageDonors'), async (req, res) => {
     try {
-        const oldDonation = await Donation.findById(req.params.id);
-        const donation = await Donation.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true }
-        ).populate('categoryId');
-        if (!donation) return res.status(404).json({ message: 'Donation not found' });
-        await createLog(req, 'EDIT', 'DONATION', donation._id.toString(),
-            `Edited donation: ${oldDonation.donorName} (₹${oldDonation.amount} → ₹${req.body.amount || oldDonation.amount})`);
-        res.json(donation);
+        const pledge = await Pledge.findOne({ _id: req.params.id, cancelledAt: null });
+        if (!pledge) return res.status(404).json({ message: 'Pledge not found' });
+        if (!canSeePledge(req, pledge)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+
+        pledge.cancelledAt = new Date();
+        pledge.cancelledBy = req.user.username;
+        pledge.cancelReason = String(req.body?.reason || '').trim().slice(0, 300);
+        await pledge.save();
+
+        await createLog(req, 'DELETE', 'PLEDGE', pledge._id.toString(),
+            `Cancelled pledge of ₹${pledge.amount}${pledge.cancelReason ? ` (reason: ${pledge.cancelReason})` : ''}`);
+        res.json({ message: 'Pledge cancelled' });
     } catch (error) {
-        res.status(400).json({ message: error.message });
+        res.status(500).json({ message: error.message });
     }
 });
 
-// Approve donation (Admin only)
-app.put('/api/donations/:id/approve', async (req, res) => {
-    try {
-        const donation = await Donation.findByIdAndUpdate(
-            req.params.id,
-            { status: 'approved' },
-            { new: true }
-        ).populate('categoryId');
+// ==================== MATERIALS CATALOGUE ====================
 
-        if (!donation) return res.status(404).json({ message: 'Donation not found' });
+const MATERIAL_FIELDS = ['name', 'nameHindi', 'unit', 'rate', 'active'];
 
-        await createLog(req, 'APPROVE', 'DONATION', donation._id.toString(),
-            `Approved donation: ${donation.donorName} - ₹${donation.amount}`);
+function pickMaterialFields(body) {
+    const data = {};
+    MATERIAL_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    if (data.rate === '') data.rate = null;
+    return data;
+}
 
-        res.json(donation);
+// Catalogue for the donation form (?all=true includes retired materials)
+app.get('/api/materials', requireAuth, requirePermission(null), async (req, res) => {
+    try {
+        const query = req.query.all === 'true' ? {} : { active: true };
+        res.json(await Material.find(query).sort({ name: 1 }));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+app.post('/api/materials', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
+    try {
+        const material = await Material.create(pickMaterialFields(req.body));
+        await createLog(req, 'ADD', 'MATERIAL', material._id.toString(),
+            `Added material: ${material.name} (${material.unit})`);
+        res.status(201).json(material);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// Delete donation
-app.delete('/api/donations/:id', async (req, res) => {
+// Update a material; set active: false to retire it (past donations keep its name and unit)
+app.put('/api/materials/:id', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
     try {
-        const donation = await Donation.findById(req.params.id);
-        if (!donation) return res.status(404).json({ message: 'Donation not found' });
-        await createLog(req, 'DELETE', 'DONATION', donation._id.toString(),
-            `Deleted donation: ${donation.donorName} - ₹${donation.amount}`);
-        await Donation.findByIdAndDelete(req.params.id);
-        res.json({ message: 'Donation deleted' });
+        const material = await Material.findById(req.params.id);
+        if (!material) return res.status(404).json({ message: 'Material not found' });
+
+        const before = material.toObject();
+        material.set(pickMaterialFields(req.body));
+        await material.save();
+
+        await createLog(req, 'EDIT', 'MATERIAL', material._id.toString(), `Edited material: ${material.name}`,
+            diffFields(before, material, MATERIAL_FIELDS));
+        res.json(material);
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(400).json({ message: error.message });
     }
 });
 
@@ -347,7 +3429,7 @@ app.delete('/api/donations/:id', async (req, res) => {
 // Get all categories (ordered)
 app.get('/api/categories', async (req, res) => {
     try {
-        const categories = await Category.find().sort({ order: 1 });
+        const categories = await Category.find(NOT_DELETED).sort({ order: 1 });
         res.json(categories);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -355,11 +3437,11 @@ app.get('/api/categories', async (req, res) => {
 });
 
 // Create category
-app.post('/api/categories', async (req, res) => {
+app.post('/api/categories', requireAuth, requirePermission('canManageCategory'), async (req, res) => {
     try {
         const maxOrder = await Category.findOne().sort({ order: -1 });
         const category = new Category({
-            ...req.body,
+            ...withoutTrashFields(req.body),
             order: (maxOrder?.order || 0) + 1
         });
         await category.save();
@@ -372,17 +3454,23 @@ app.post('/api/categories', async (req, res) => {
 });
 
 // Update category
-app.put('/api/categories/:id', async (req, res) => {
+app.put('/api/categories/:id', requireAuth, requirePermission('canManageCategory'), async (req, res) => {
     try {
-        const oldCategory = await Category.findById(req.params.id);
+        if (!canAccessCategory(req, req.params.id)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+
+        const oldCategory = await Category.findOne({ _id: req.params.id, ...NOT_DELETED });
+        if (!oldCategory) return res.status(404).json({ message: 'Category not found' });
         const category = await Category.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            withoutTrashFields(req.body),
             { new: true }
         );
         if (!category) return res.status(404).json({ message: 'Category not found' });
         await createLog(req, 'EDIT', 'CATEGORY', category._id.toString(),
-            `Edited category: ${oldCategory.name} → ${category.name}`);
+            `Edited category: ${oldCategory.name} → ${category.name}`,
+            diffFields(oldCategory, category, ['name', 'order']));
         res.json(category);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -390,67 +3478,195 @@ app.put('/api/categories/:id', async (req, res) => {
 });
 
 // Delete category
-app.delete('/api/categories/:id', async (req, res) => {
+app.delete('/api/categories/:id', requireAuth, requirePermission('canManageCategory'), async (req, res) => {
     try {
+        if (!canAccessCategory(req, req.params.id)) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
+
         // Check if category has donations
-        const donationCount = await Donation.countDocuments({ categoryId: req.params.id });
+        const donationCount = await Donation.countDocuments({ categoryId: req.params.id, ...NOT_DELETED });
         if (donationCount > 0) {
             return res.status(400).json({
                 message: `Cannot delete: ${donationCount} donations exist in this category`
             });
         }
 
-        const category = await Category.findById(req.params.id);
+        const category = await Category.findOne({ _id: req.params.id, ...NOT_DELETED });
         if (!category) return res.status(404).json({ message: 'Category not found' });
+
+        moveToTrash(category, req);
+        await category.save();
         await createLog(req, 'DELETE', 'CATEGORY', category._id.toString(),
-            `Deleted category: ${category.name}`);
-        await Category.findByIdAndDelete(req.params.id);
-        res.json({ message: 'Category deleted' });
+            `Moved category to trash: ${category.name}` +
+            (category.deleteReason ? ` (reason: ${category.deleteReason})` : ''));
+        res.json({ message: 'Category moved to trash', id: category._id });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
 // Reorder categories
-app.put('/api/categories/reorder', async (req, res) => {
+app.put('/api/categories/reorder', requireAuth, requirePermission('canManageCategory'), async (req, res) => {
     try {
         const { orders } = req.body; // [{ id: 'xxx', order: 1 }, ...]
+        if (orders.some(item => !canAccessCategory(req, item.id))) {
+            return res.status(403).json({ message: 'This category is not assigned to you' });
+        }
         for (const item of orders) {
             await Category.findByIdAndUpdate(item.id, { order: item.order });
         }
-        const categories = await Category.find().sort({ order: 1 });
+        const categories = await Category.find(NOT_DELETED).sort({ order: 1 });
         res.json(categories);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// ==================== SUB-ADMINS ROUTES ====================
+// ==================== TRASH ROUTES ====================
+
+// Whoever deletes something can undo it for a short while, after that only the owner
+const UNDO_WINDOW_MS = 10 * 60 * 1000;
+
+const TRASH_TYPES = {
+    donations: { model: Donation, entity: 'DONATION', label: doc => `${doc.donorName} - ₹${doc.amount}` },
+    categories: { model: Category, entity: 'CATEGORY', label: doc => doc.name }
+};
+
+function moveToTrash(doc, req) {
+    doc.deletedAt = new Date();
+    doc.deletedBy = req.user.username;
+    doc.deleteReason = String(req.body?.reason || '').trim().slice(0, 300);
+}
+
+function trashTypeFor(req, res) {
+    const type = TRASH_TYPES[req.params.type];
+    if (!type) res.status(404).json({ message: 'Unknown trash type' });
+    return type;
+}
+
+// List trashed donations and categories (newest deletions first)
+app.get('/api/trash', requireAuth, requirePermission('canManageTrash'), async (req, res) => {
+    try {
+        const trashed = { deletedAt: { $ne: null } };
+        const [donations, categories] = await Promise.all([
+            Donation.find(trashed).populate('categoryId').sort({ deletedAt: -1 }),
+            Category.find(trashed).sort({ deletedAt: -1 })
+        ]);
+        res.json({ donations, categories });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
 
-// Get all sub-admins
-app.get('/api/subadmins', async (req, res) => {
+// Restore from trash (owner, or the user who deleted it within the undo window)
+app.post('/api/trash/:type/:id/restore', requireAuth, requirePermission(null), async (req, res) => {
     try {
-        const subAdmins = await SubAdmin.find().select('-password');
-        res.json(subAdmins);
+        const type = trashTypeFor(req, res);
+        if (!type) return;
+
+        const doc = await type.model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!doc) return res.status(404).json({ message: 'Item not found in trash' });
+
+        const isOwnUndo = doc.deletedBy === req.account.username &&
+            Date.now() - doc.deletedAt.getTime() < UNDO_WINDOW_MS;
+        if (!hasPermission(req.account, 'canManageTrash') && !isOwnUndo) {
+            return res.status(403).json({ message: 'You do not have permission for this action' });
+        }
+        if (type.entity === 'DONATION' && !await Category.exists({ _id: doc.categoryId, ...NOT_DELETED })) {
+            return res.status(400).json({ message: 'Restore the category of this donation first' });
+        }
+
+        const deletedBy = doc.deletedBy;
+        doc.deletedAt = null;
+        doc.deletedBy = null;
+        doc.deleteReason = '';
+        await doc.save();
+        if (type.entity === 'DONATION') await recordDonationRevision(req, doc, 'restore');
+
+        await createLog(req, 'RESTORE', type.entity, doc._id.toString(),
+            `Restored from trash: ${type.label(doc)} (deleted by ${deletedBy})`);
+        res.json({ message: 'Restored', item: doc });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// Create sub-admin
-app.post('/api/subadmins', async (req, res) => {
+// Permanently delete from trash (owner only)
+app.delete('/api/trash/:type/:id', requireAuth, requirePermission('canManageTrash'), async (req, res) => {
     try {
-        const hashedPassword = await bcrypt.hash(req.body.password, 10);
-        const subAdmin = new SubAdmin({
-            ...req.body,
-            password: hashedPassword
-        });
-        await subAdmin.save();
-        await createLog(req, 'ADD', 'SUBADMIN', subAdmin._id.toString(),
-            `Created sub-admin: ${req.body.username}`);
-        const result = subAdmin.toObject();
-        delete result.password;
-        res.status(201).json(result);
+        const type = trashTypeFor(req, res);
+        if (!type) return;
+
+        const doc = await type.model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!doc) return res.status(404).json({ message: 'Item not found in trash' });
+
+        // Trashed donations still point at the category, they would lose it on restore
+        if (type.entity === 'CATEGORY') {
+            const donationCount = await Donation.countDocuments({ categoryId: doc._id });
+            if (donationCount > 0) {
+                return res.status(400).json({
+                    message: `Cannot purge: ${donationCount} donations (including trashed) use this category`
+                });
+            }
+        }
+
+        await createLog(req, 'PURGE', type.entity, doc._id.toString(),
+            `Permanently deleted: ${type.label(doc)} (trashed by ${doc.deletedBy} on ` +
+            `${doc.deletedAt.toISOString()}${doc.deleteReason ? `, reason: ${doc.deleteReason}` : ''})`);
+        await type.model.deleteOne({ _id: doc._id });
+        if (type.entity === 'CATEGORY') {
+            await Donor.updateMany({ categoryId: doc._id }, { categoryId: null });
+        }
+        res.json({ message: 'Permanently deleted' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ==================== SUB-ADMINS (USERS) ROUTES ====================
+
+const USER_SAFE_FIELDS = '-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes -passwordRecoveryCodes';
+
+// Only these fields can be set through the API
+function pickUserFields(body) {
+    const data = {};
+    ['username', 'password', 'role', 'permissions', 'requireTwoFactor'].forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+}
+
+// There must always be at least one owner who can manage users and settings
+async function isLastOwner(user) {
+    return user.role === 'owner' && await User.countDocuments({ role: 'owner' }) <= 1;
+}
+
+// Get all users
+app.get('/api/subadmins', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
+    try {
+        const users = await User.find().select(USER_SAFE_FIELDS).sort({ createdAt: 1 });
+        res.json(users);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Create user
+app.post('/api/subadmins', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
+    try {
+        const userData = pickUserFields(req.body);
+        const policyError = checkPasswordPolicy(userData.password, userData.username);
+        if (policyError) {
+            return res.status(400).json({ message: policyError });
+        }
+        userData.password = await bcrypt.hash(userData.password, 10);
+        userData.mustChangePassword = true; // Only the new user should know their password
+        const user = new User(userData);
+        await user.save();
+        await createLog(req, 'ADD', 'USER', user._id.toString(),
+            `Created ${user.role}: ${user.username}`);
+        res.status(201).json(await User.findById(user._id).select(USER_SAFE_FIELDS));
     } catch (error) {
         if (error.code === 11000) {
             return res.status(400).json({ message: 'Username already exists' });
@@ -459,27 +3675,56 @@ app.post('/api/subadmins', async (req, res) => {
     }
 });
 
-// Update sub-admin
-app.put('/api/subadmins/:id', async (req, res) => {
+// Fields compared for the EDIT log diff (the password is only noted as changed)
+const USER_LOG_FIELDS = [
+    'username', 'role', 'requireTwoFactor',
+    ...COLLECTOR_PERMISSIONS.map(flag => `permissions.${flag}`),
+    'permissions.assignedCategories'
+];
+
+// Update user
+app.put('/api/subadmins/:id', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
     try {
-        const oldSubAdmin = await SubAdmin.findById(req.params.id);
-        const updateData = { ...req.body };
+        const oldUser = await User.findById(req.params.id);
+        if (!oldUser) return res.status(404).json({ message: 'User not found' });
+
+        const updateData = pickUserFields(req.body);
+        if (updateData.role && updateData.role !== 'owner' && await isLastOwner(oldUser)) {
+            return res.status(400).json({ message: 'Cannot change the role of the last owner' });
+        }
         if (updateData.password) {
+            const policyError = checkPasswordPolicy(updateData.password, updateData.username || oldUser.username);
+            if (policyError) {
+                return res.status(400).json({ message: policyError });
+            }
             updateData.password = await bcrypt.hash(updateData.password, 10);
+            // A password set by someone else must be replaced at next login
+            updateData.mustChangePassword = !oldUser._id.equals(req.account._id);
         } else {
             delete updateData.password;
         }
 
-        const subAdmin = await SubAdmin.findByIdAndUpdate(
+        const user = await User.findByIdAndUpdate(
             req.params.id,
             updateData,
-            { new: true }
-        ).select('-password');
+            { new: true, runValidators: true }
+        ).select(USER_SAFE_FIELDS);
+
+        // Changed access applies immediately: the user has to sign in again
+        const revoked = user._id.equals(req.account._id)
+            ? await revokeSessions({ userId: user._id, _id: { $ne: req.sessionId } }, req.user.username)
+            : await revokeSessions({ userId: user._id }, req.user.username);
+
+        const changes = diffFields(oldUser, user, USER_LOG_FIELDS);
+        if (updateData.password) {
+            changes.push({ field: 'password', old: '(hidden)', new: '(changed)' }); // Never log the hash
+        }
 
-        if (!subAdmin) return res.status(404).json({ message: 'Sub-admin not found' });
-        await createLog(req, 'EDIT', 'SUBADMIN', subAdmin._id.toString(),
-            `Edited sub-admin: ${oldSubAdmin.username}`);
-        res.json(subAdmin);
+        const roleChange = oldUser.role !== user.role ? ` (${oldUser.role} → ${user.role})` : '';
+        const signedOut = revoked ? `, ${revoked} session(s) signed out` : '';
+        await createLog(req, 'EDIT', 'USER', user._id.toString(),
+            `Edited user: ${oldUser.username}${roleChange}${signedOut}`, changes);
+        res.json(user);
     } catch (error) {
         if (error.code === 11000) {
             return res.status(400).json({ message: 'Username already exists' });
@@ -488,15 +3733,78 @@ app.put('/api/subadmins/:id', async (req, res) => {
     }
 });
 
-// Delete sub-admin
-app.delete('/api/subadmins/:id', async (req, res) => {
+// Delete user
+app.delete('/api/subadmins/:id', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
     try {
-        const subAdmin = await SubAdmin.findById(req.params.id);
-        if (!subAdmin) return res.status(404).json({ message: 'Sub-admin not found' });
-        await createLog(req, 'DELETE', 'SUBADMIN', subAdmin._id.toString(),
-            `Deleted sub-admin: ${subAdmin.username}`);
-        await SubAdmin.findByIdAndDelete(req.params.id);
-        res.json({ message: 'Sub-admin deleted' });
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+        if (user._id.equals(req.account._id)) {
+            return res.status(400).json({ message: 'You cannot delete your own account' });
+        }
+        if (await isLastOwner(user)) {
+            return res.status(400).json({ message: 'Cannot delete the last owner' });
+        }
+
+        await createLog(req, 'DELETE', 'USER', user._id.toString(),
+            `Deleted ${user.role}: ${user.username}`);
+        await User.findByIdAndDelete(req.params.id);
+        await revokeSessions({ userId: user._id }, req.user.username);
+        res.json({ message: 'User deleted' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Sign a user out everywhere
+app.delete('/api/subadmins/:id/sessions', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        // Keep the caller's own current session when they sign themselves out elsewhere
+        const filter = { userId: user._id };
+        if (user._id.equals(req.account._id)) filter._id = { $ne: req.sessionId };
+
+        const revoked = await revokeSessions(filter, req.user.username);
+        await createLog(req, 'LOGOUT', 'SESSION', user._id.toString(),
+            `Signed out all sessions of '${user.username}' (${revoked})`);
+        res.json({ message: `${revoked} session(s) signed out`, revoked });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// ==================== SESSIONS ROUTES ====================
+
+// Active sessions of all users (newest activity first)
+app.get('/api/sessions', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
+    try {
+        const sessions = await Session.find({ revokedAt: null, expiresAt: { $gt: new Date() } })
+            .sort({ lastSeenAt: -1 })
+            .lean();
+        res.json(sessions.map(session => ({
+            ...session,
+            current: session._id.equals(req.sessionId)
+        })));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Revoke a single session (e.g. a lost phone)
+app.delete('/api/sessions/:id', requireAuth, requirePermission('canManageUsers'), async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+        if (!session || session.revokedAt) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        session.revokedAt = new Date();
+        session.revokedBy = req.user.username;
+        await session.save();
+        await createLog(req, 'LOGOUT', 'SESSION', session._id.toString(),
+            `Signed out '${session.username}' on ${session.userAgent || 'unknown device'} (${session.ipAddress})`);
+        res.json({ message: 'Session signed out' });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -504,27 +3812,46 @@ app.delete('/api/subadmins/:id', async (req, res) => {
 
 // ==================== SETTINGS ROUTES ====================
 
-// Get settings
+// One EDIT log per settings save that actually changed something
+async function logSettingsChange(req, before, settings, fields) {
+    const changes = diffFields(before, settings, fields);
+    if (changes.length === 0) return;
+    await createLog(req, 'EDIT', 'SETTINGS', settings._id.toString(),
+        `Changed settings: ${changes.map(change => change.field).join(', ')}`, changes);
+}
+
+// Get settings the page needs before login (display, UPI, receipt header).
+// Passwords and two-factor secrets are never included.
+const PUBLIC_SETTINGS_FIELDS = ['viewMode', 'communityEnabled', 'showDates', 'upiEnabled', 'upiId', 'upiQrImage',
+    'duplicateWindowDays', 'templeName', 'templeNameEnglish', 'templeAddress', 'trustPan', 'registration80G',
+    'registration80GDate'];
+
 app.get('/api/settings', async (req, res) => {
     try {
-        const settings = await Settings.findOne();
-        res.json({ viewMode: settings?.viewMode || 'cards' });
+        const settings = (await Settings.findOne()) || new Settings();
+        const result = {};
+        PUBLIC_SETTINGS_FIELDS.forEach(field => {
+            result[field] = settings[field];
+        });
+        res.json(result);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
 // Update settings (Generic)
-app.put('/api/settings', async (req, res) => {
+app.put('/api/settings', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
     try {
         let settings = await Settings.findOne();
         if (!settings) {
             // Initialize settings if not found
-            settings = new Settings({ adminPassword: await bcrypt.hash('admin123', 10) });
+            settings = new Settings();
         }
 
         // Update only provided fields
-        const fields = ['viewMode', 'communityEnabled', 'showDates', 'upiEnabled', 'upiId', 'upiQrImage'];
+        const fields = ['viewMode', 'communityEnabled', 'showDates', 'upiEnabled', 'upiId', 'upiQrImage', 'duplicateWindowDays',
+            'templeName', 'templeNameEnglish', 'templeAddress', 'trustPan', 'registration80G', 'registration80GDate'];
+        const before = settings.toObject();
         fields.forEach(field => {
             if (req.body[field] !== undefined) {
                 settings[field] = req.body[field];
@@ -532,26 +3859,42 @@ app.put('/api/settings', async (req, res) => {
         });
 
         await settings.save();
-        res.json(settings);
+        await logSettingsChange(req, before, settings, fields);
+        const result = settings.toObject();
+        delete result.adminPassword;
+        delete result.adminTwoFactor;
+        res.json(result);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// Change admin password
-app.put('/api/settings/password', async (req, res) => {
+// Change own password (any logged-in user)
+app.put('/api/settings/password', requireAuth, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
-        const settings = await Settings.findOne();
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
 
-        const isMatch = await bcrypt.compare(currentPassword, settings.adminPassword);
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
         if (!isMatch) {
             return res.status(400).json({ message: 'Current password is incorrect' });
         }
 
-        settings.adminPassword = await bcrypt.hash(newPassword, 10);
-        await settings.save();
-        await createLog(req, 'EDIT', 'SETTINGS', null, 'Admin password changed');
+        const policyError = checkPasswordPolicy(newPassword, user.username);
+        if (policyError) {
+            return res.status(400).json({ message: policyError });
+        }
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({ message: 'New password must be different from the current one' });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.mustChangePassword = false;
+        await user.save();
+        await revokeSessions({ userId: user._id, _id: { $ne: req.sessionId } }, user.username);
+        await createLog(req, 'EDIT', 'USER', user._id.toString(), `Password changed for '${user.username}'`,
+            [{ field: 'password', old: '(hidden)', new: '(changed)' }]);
         res.json({ message: 'Password updated successfully' });
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -560,19 +3903,54 @@ app.put('/api/settings/password', async (req, res) => {
 
 // ==================== ACTIVITY LOGS ROUTES (READ-ONLY) ====================
 
-// Get all logs (newest first) - NO DELETE ENDPOINT
-app.get('/api/logs', async (req, res) => {
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Mongo filter from the log query parameters. Values are forced to strings so
+// a query like ?action[$ne]=x cannot inject operators. Throws on a bad date.
+function buildLogFilter(query) {
+    const filter = {};
+    ['action', 'entity', 'user', 'userType', 'entityId'].forEach(field => {
+        if (query[field]) filter[field] = String(query[field]);
+    });
+    if (query.ip) {
+        filter.ipAddress = new RegExp(`^${escapeRegex(String(query.ip))}`); // Prefix, e.g. 192.168.
+    }
+    if (query.q) {
+        filter.details = new RegExp(escapeRegex(String(query.q)), 'i');
+    }
+
+    ['from', 'to'].forEach(param => {
+        if (!query[param]) return;
+        const date = new Date(String(query[param]));
+        if (isNaN(date)) throw new Error(`Invalid '${param}' date`);
+        filter.timestamp = { ...filter.timestamp, [param === 'from' ? '$gte' : '$lte']: date };
+    });
+    return filter;
+}
+
+// Get logs (newest first), filtered by action, entity, user, userType, entityId,
+// ip (prefix), q (text in details) and from/to timestamps - NO DELETE ENDPOINT
+app.get('/api/logs', requireAuth, requirePermission('canViewLogs'), async (req, res) => {
+    let filter;
+    try {
+        filter = buildLogFilter(req.query);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
         const skip = (page - 1) * limit;
 
-        const logs = await ActivityLog.find()
+        const logs = await ActivityLog.find(filter)
             .sort({ timestamp: -1 })
             .skip(skip)
             .limit(limit);
 
-        const total = await ActivityLog.countDocuments();
+        const total = await ActivityLog.countDocuments(filter);
 
         res.json({
             logs,
@@ -588,30 +3966,296 @@ app.get('/api/logs', async (req, res) => {
     }
 });
 
+// Usernames that appear in the log (for the user filter)
+app.get('/api/logs/users', requireAuth, requirePermission('canViewLogs'), async (req, res) => {
+    try {
+        const users = await ActivityLog.distinct('user');
+        res.json(users.sort());
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Quote a CSV cell. Cells starting with = + - @ are prefixed so spreadsheet
+// apps don't run them as formulas.
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Download the filtered logs as CSV (same parameters as GET /api/logs, no paging)
+app.get('/api/logs/export', requireAuth, requirePermission('canViewLogs'), requirePermission('canExportData'), async (req, res) => {
+    let filter;
+    try {
+        filter = buildLogFilter(req.query);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition',
+            `attachment; filename="activity-logs-${new Date().toISOString().split('T')[0]}.csv"`);
+        // BOM so Excel reads Hindi names as UTF-8
+        res.write('\uFEFF' + ['Seq', 'Time', 'User', 'Role', 'Action', 'Entity', 'Entity ID', 'IP Address', 'Details', 'Changes', 'Hash']
+            .join(',') + '\r\n');
+
+        let count = 0;
+        const cursor = ActivityLog.find(filter).sort({ timestamp: -1 }).lean().cursor();
+        for await (const log of cursor) {
+            res.write([
+                log.seq, log.timestamp.toISOString(), log.user, log.userType, log.action,
+                log.entity, log.entityId, log.ipAddress, log.details,
+                log.changes ? JSON.stringify(log.changes) : '', log.hash
+            ].map(csvCell).join(',') + '\r\n');
+            count++;
+        }
+        res.end();
+
+        const filters = Object.keys(req.query).filter(key => req.query[key]).join(', ') || 'none';
+        await createLog(req, 'EXPORT', 'LOG', null, `Exported ${count} log entries as CSV (filters: ${filters})`);
+    } catch (error) {
+        if (res.headersSent) return res.end();
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Walk the hash chain from the first entry and report the first broken link.
+// Removing the newest entries cannot be detected from the chain alone, so the
+// response includes the last hash for auditors to note down and compare later.
+app.get('/api/logs/verify', requireAuth, requirePermission('canViewLogs'), async (req, res) => {
+    try {
+        let expectedSeq = 1;
+        let prevHash = LOG_GENESIS_HASH;
+        let firstBroken = null;
+        let checked = 0;
+
+        const cursor = ActivityLog.find({ seq: { $ne: null } }).sort({ seq: 1 }).lean().cursor();
+        for await (const entry of cursor) {
+            let reason = null;
+            if (entry.seq !== expectedSeq) {
+                reason = entry.seq === expectedSeq + 1
+                    ? `Entry #${expectedSeq} is missing`
+                    : `Entries #${expectedSeq} to #${entry.seq - 1} are missing`;
+            } else if (entry.prevHash !== prevHash) {
+                reason = 'Does not link to the previous entry';
+            } else if (hashLogEntry(entry) !== entry.hash) {
+                reason = 'Contents were modified';
+            }
+
+            if (reason) {
+                firstBroken = {
+                    seq: entry.seq,
+                    id: entry._id,
+                    action: entry.action,
+                    timestamp: entry.timestamp,
+                    reason
+                };
+                break;
+            }
+
+            checked++;
+            expectedSeq++;
+            prevHash = entry.hash;
+        }
+
+        const unchained = await ActivityLog.countDocuments({ hash: null });
+        if (!firstBroken && unchained > 0) {
+            firstBroken = { seq: null, reason: `${unchained} entries were added outside the app` };
+        }
+
+        res.json({
+            valid: !firstBroken,
+            checked,
+            total: await ActivityLog.countDocuments(),
+            lastSeq: expectedSeq - 1,
+            lastHash: prevHash,
+            firstBroken,
+            verifiedAt: new Date()
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
 // ==================== STATS ROUTE ====================
 
-app.get('/api/stats', async (req, res) => {
+// Goods totalled per material, apart from the cash total
+async function inKindSummary(match) {
+    const rows = await Donation.aggregate([
+        { $match: { ...match, paymentMode: 'in_kind' } },
+        {
+            $group: {
+                _id: { itemName: '$itemName', itemUnit: '$itemUnit' },
+                quantity: { $sum: '$quantity' },
+                estimatedValue: { $sum: { $ifNull: ['$estimatedValue', 0] } },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { '_id.itemName': 1 } }
+    ]);
+    return {
+        count: rows.reduce((sum, row) => sum + row.count, 0),
+        estimatedValue: rows.reduce((sum, row) => sum + row.estimatedValue, 0),
+        items: rows.map(row => ({
+            itemName: row._id.itemName,
+            itemUnit: row._id.itemUnit,
+            quantity: row.quantity,
+            estimatedValue: row.estimatedValue,
+            count: row.count
+        }))
+    };
+}
+
+// Includes pending entries and the payment breakdown (the public page reads /api/public/stats)
+app.get('/api/stats', requireAuth, requirePermission(null), async (req, res) => {
     try {
-        const totalDonors = await Donation.countDocuments();
+        // Rejected and sent-back entries are not counted
+        const counted = { ...NOT_DELETED, status: { $nin: ['rejected', 'changes_requested'] } };
+        const totalDonors = await Donation.countDocuments(counted);
         const totalAmount = await Donation.aggregate([
+            { $match: counted },
             { $group: { _id: null, total: { $sum: '$amount' } } }
         ]);
-        const totalCategories = await Category.countDocuments();
+        const totalCategories = await Category.countDocuments(NOT_DELETED);
+        const byMode = await Donation.aggregate([
+            { $match: counted },
+            { $group: { _id: { $ifNull: ['$paymentMode', 'cash'] }, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+        ]);
+        const cheques = await Donation.aggregate([
+            { $match: { ...counted, paymentMode: 'cheque' } },
+            { $group: { _id: '$chequeStatus', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+        ]);
 
         res.json({
             totalDonors,
             totalAmount: totalAmount[0]?.total || 0,
-            totalCategories
+            totalCategories,
+            // Every mode is listed, with zero totals when unused
+            byPaymentMode: PAYMENT_MODES.map(mode => {
+                const row = byMode.find(entry => entry._id === mode);
+                return { mode, total: row?.total || 0, count: row?.count || 0 };
+            }),
+            chequesByStatus: CHEQUE_STATUSES.map(status => {
+                const row = cheques.find(entry => entry._id === status);
+                return { status, total: row?.total || 0, count: row?.count || 0 };
+            }),
+            inKind: await inKindSummary(counted)
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// ==================== COMMUNITY ROUTES ====================
+// ==================== PUBLIC API ====================
+// Unauthenticated reads. Each response is built field by field, so fields added
+// to a schema later stay internal until they are listed here.
+
+// Approved donation as visitors see it: name-only gifts hide what was given and
+// are not linked to a donor profile, anonymous ones hide who gave it, and notes
+// show only when flagged public
+function publicDonation(donation) {
+    const donor = donation.donorId;
+    const shape = {
+        _id: donation._id,
+        donorName: donation.donorName,
+        donorId: donor ? { _id: donor._id, nameHindi: donor.nameHindi, nameEnglish: donor.nameEnglish, categoryId: donor.categoryId } : null,
+        amount: donation.amount,
+        date: donation.date,
+        categoryId: donation.categoryId,
+        status: donation.status,
+        paymentMode: donation.paymentMode,
+        itemName: donation.itemName,
+        itemUnit: donation.itemUnit,
+        quantity: donation.quantity,
+        estimatedValue: donation.estimatedValue,
+        privacy: donation.privacy,
+        notes: donation.notesPublic ? donation.notes : '',
+        notesPublic: !!donation.notesPublic
+    };
+
+    if (donation.privacy === 'name_only') {
+        Object.assign(shape, {
+            donorId: null, amount: null, paymentMode: null, itemName: null, itemUnit: null, quantity: null, estimatedValue: null
+        });
+    } else if (donation.privacy === 'anonymous') {
+        Object.assign(shape, { donorName: ANONYMOUS_DONOR_NAME, donorId: null });
+    }
+    return shape;
+}
 
-// Get public posts (visible only)
-app.get('/api/community', async (req, res) => {
+// Community post without the poster's IP address or browser
+function publicPost(post) {
+    return {
+        _id: post._id,
+        content: post.content,
+        imageUrl: post.imageUrl,
+        createdAt: post.createdAt,
+        replies: post.replies.map(reply => ({ _id: reply._id, content: reply.content, createdAt: reply.createdAt }))
+    };
+}
+
+async function publicDonationList() {
+    const donations = await Donation.find({ ...NOT_DELETED, status: 'approved' })
+        .populate('donorId', 'nameHindi nameEnglish categoryId')
+        .sort({ date: -1 })
+        .lean();
+    return donations.map(publicDonation);
+}
+
+app.get('/api/public/donations', async (req, res) => {
+    try {
+        res.json(await publicDonationList());
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Totals of approved donations only
+app.get('/api/public/stats', async (req, res) => {
+    try {
+        const approved = { ...NOT_DELETED, status: 'approved' };
+        const [totalDonors, totalAmount, totalCategories, inKind] = await Promise.all([
+            Donation.countDocuments(approved),
+            Donation.aggregate([{ $match: approved }, { $group: { _id: null, total: { $sum: '$amount' } } }]),
+            Category.countDocuments(NOT_DELETED),
+            inKindSummary(approved)
+        ]);
+        res.json({ totalDonors, totalAmount: totalAmount[0]?.total || 0, totalCategories, inKind });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Promised, paid and outstanding per donor for the public donor cards (no notes or due dates).
+// Donors with any name-only or anonymous gift are left out, so their pledges can't reveal what they hid.
+app.get('/api/public/pledges', async (req, res) => {
+    try {
+        const privateDonors = await Donation.distinct('donorId', {
+            ...NOT_DELETED,
+            privacy: { $in: ['name_only', 'anonymous'] },
+            donorId: { $ne: null }
+        });
+        const pledges = await withPledgeBalances(
+            await Pledge.find({ cancelledAt: null, donorId: { $nin: privateDonors } }).lean());
+
+        const byDonor = {};
+        pledges.forEach(pledge => {
+            const donorId = pledge.donorId.toString();
+            byDonor[donorId] = byDonor[donorId] || { donorId, promised: 0, paid: 0, outstanding: 0 };
+            byDonor[donorId].promised += pledge.amount;
+            byDonor[donorId].paid += Math.min(pledge.paid, pledge.amount);
+            byDonor[donorId].outstanding += pledge.outstanding;
+        });
+        res.json(Object.values(byDonor));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Visible posts only
+app.get('/api/public/community', async (req, res) => {
     try {
         const settings = await Settings.findOne();
         if (!settings?.communityEnabled) {
@@ -620,15 +4264,18 @@ app.get('/api/community', async (req, res) => {
 
         const posts = await Post.find({ isVisible: true })
             .sort({ createdAt: -1 })
-            .limit(50);
-        res.json(posts);
+            .limit(50)
+            .lean();
+        res.json(posts.map(publicPost));
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
+// ==================== COMMUNITY ROUTES ====================
+
 // Get all posts (admin only, with IP info)
-app.get('/api/community/admin', async (req, res) => {
+app.get('/api/community/admin', requireAuth, requirePermission('canModerateCommunity'), async (req, res) => {
     try {
         const posts = await Post.find()
             .sort({ createdAt: -1 });
@@ -673,7 +4320,7 @@ app.post('/api/community', async (req, res) => {
             userAgent
         });
 
-        res.status(201).json(post);
+        res.status(201).json(publicPost(post));
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
@@ -718,14 +4365,14 @@ app.post('/api/community/:id/reply', async (req, res) => {
         });
 
         await post.save();
-        res.json(post);
+        res.json(publicPost(post));
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
 // Delete post (admin only)
-app.delete('/api/community/:id', async (req, res) => {
+app.delete('/api/community/:id', requireAuth, requirePermission('canModerateCommunity'), async (req, res) => {
     try {
         const post = await Post.findById(req.params.id);
         if (!post) {
@@ -740,7 +4387,7 @@ app.delete('/api/community/:id', async (req, res) => {
 });
 
 // Toggle community feature (admin only)
-app.put('/api/settings/community', async (req, res) => {
+app.put('/api/settings/community', requireAuth, requirePermission('canModerateCommunity'), async (req, res) => {
     try {
         const { enabled } = req.body;
         const settings = await Settings.findOne();
@@ -749,8 +4396,10 @@ app.put('/api/settings/community', async (req, res) => {
             return res.status(404).json({ message: 'Settings not found' });
         }
 
+        const before = settings.toObject();
         settings.communityEnabled = enabled;
         await settings.save();
+        await logSettingsChange(req, before, settings, ['communityEnabled']);
 
         res.json({ communityEnabled: settings.communityEnabled });
     } catch (error) {
@@ -759,7 +4408,7 @@ app.put('/api/settings/community', async (req, res) => {
 });
 
 // Toggle show dates on cards (admin only)
-app.put('/api/settings/showDates', async (req, res) => {
+app.put('/api/settings/showDates', requireAuth, requirePermission('canManageSettings'), async (req, res) => {
     try {
         const { showDates } = req.body;
         const settings = await Settings.findOne();
@@ -768,8 +4417,10 @@ app.put('/api/settings/showDates', async (req, res) => {
             return res.status(404).json({ message: 'Settings not found' });
         }
 
+        const before = settings.toObject();
         settings.showDates = showDates;
         await settings.save();
+        await logSettingsChange(req, before, settings, ['showDates']);
 
         res.json({ showDates: settings.showDates });
     } catch (error) {
@@ -790,12 +4441,30 @@ app.get('/', (req, res) => {
 
 // ==================== START SERVER ====================
 
-app.listen(PORT, () => {
-    console.log(`
+if (isMainModule && !cliCommand) {
+    app.listen(PORT, () => {
+        console.log(`
 🛕 Temple Donation Tracker Server
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 🚀 Server running at: http://localhost:${PORT}
 📁 MongoDB: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/temple_donations'}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    `);
-});
+        `);
+    });
+}
+
+// For the API tests
+module.exports = {
+    app,
+    models: { Category, Donation, User, Settings, ActivityLog, Post, Session, DonationRevision, Donor, ReceiptCounter, Pledge, Material },
+    createSessionToken,
+    signToken,
+    encryptSecret,
+    base32Decode,
+    generateHotp,
+    TOTP_STEP_SECONDS,
+    financialYearOf,
+    receiptToken,
+    unkeyedLogHash,
+    ANONYMOUS_DONOR_NAME
+};